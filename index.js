@@ -4,8 +4,11 @@
  */
 const { createLogger } = require("./src/utils/logger");
 const config = require("./src/utils/config");
+const configLoader = require("./src/utils/config-loader");
 const tempFileManager = require("./src/utils/temp-file-manager");
+const { flushHistoryStore } = require("./src/storage/history-store");
 const discordClient = require("./src/discord/client");
+const controlApi = require("./src/http/control-api");
 
 const logger = createLogger("Main");
 
@@ -26,9 +29,16 @@ async function shutdown(signal) {
     logger.info(`Received ${signal}. Shutting down gracefully...`);
 
     try {
+        // Stop taking API requests and watching the config file
+        await controlApi.stop();
+        configLoader.unwatchConfigFile();
+
         // Shutdown Discord client
         await discordClient.shutdown();
 
+        // Save the conversation history not written yet
+        await flushHistoryStore();
+
         // Clean up all temporary files
         tempFileManager.cleanupAllTempFiles();
 
@@ -46,13 +56,22 @@ async function shutdown(signal) {
 async function main() {
     logger.info("Starting Discord Voice Bot...");
 
+    // Stop right away if the configuration is invalid or incomplete
+    const problems = configLoader.checkConfig();
+    if (problems.length > 0) {
+        logger.error(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+        process.exit(1);
+    }
+    configLoader.getConfigWarnings().forEach((warning) => logger.warn(warning));
+
     // Display configuration
     if (config.app.debug) {
         logger.debug("Configuration loaded:");
         logger.debug(
-            `- Discord Voice Channel: ${config.discord.voiceChannelId}`,
+            `- Discord Voice Channels: ${config.discord.voiceChannelIds.join(", ")}`,
         );
         logger.debug(`- Language: ${config.google.speechToText.languageCode}`);
+        logger.debug(`- LLM Provider: ${config.llm.provider}`);
         logger.debug(`- Ollama Model: ${config.ollama.model}`);
         logger.debug(`- TTS Voice: ${config.google.textToSpeech.voiceName}`);
         logger.debug(
@@ -63,6 +82,12 @@ async function main() {
     // Initialize Discord client
     await discordClient.initialize();
 
+    // Start the control API, if enabled
+    controlApi.start();
+
+    // Apply changes to the config file while running
+    configLoader.watchConfigFile();
+
     logger.info("Bot initialization complete");
 }
 
@@ -70,6 +95,12 @@ async function main() {
 process.on("SIGINT", () => shutdown("SIGINT"));
 process.on("SIGTERM", () => shutdown("SIGTERM"));
 
+// Reload the configuration on request
+process.on("SIGHUP", () => {
+    logger.info("Received SIGHUP. Reloading configuration...");
+    configLoader.reloadConfig();
+});
+
 // Start the bot
 main().catch((error) => {
     logger.error("Failed to start the bot:", error);
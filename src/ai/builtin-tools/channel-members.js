@@ -0,0 +1,33 @@
+/**
+ * Tool: list who is in the voice channel
+ */
+
+const channelMembersTool = {
+    name: "list_channel_members",
+    description: "List the people currently in the voice channel.",
+    parameters: {
+        type: "object",
+        properties: {},
+    },
+
+    /**
+     * @param {object} args - Tool arguments (none)
+     * @param {object} context - Tool context
+     * @param {object} context.session - Voice session whose channel is listed
+     * @returns {object} - The names of the `members`
+     */
+    execute(args, { session } = {}) {
+        if (!session) {
+            throw new Error("there is no voice channel to look at");
+        }
+
+        // Names as the bot calls people, leaving out bots
+        const members = [...session.channel.members.values()]
+            .map((member) => session.getDisplayName(member.id))
+            .filter(Boolean);
+
+        return { channel: session.channel.name, members };
+    },
+};
+
+module.exports = { channelMembersTool };
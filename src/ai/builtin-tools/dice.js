@@ -0,0 +1,54 @@
+/**
+ * Tool: roll dice
+ */
+
+// Limits so a single call stays cheap and the answer stays speakable
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+
+const rollDiceTool = {
+    name: "roll_dice",
+    description: "Roll one or more dice and get each roll and the total.",
+    parameters: {
+        type: "object",
+        properties: {
+            count: {
+                type: "integer",
+                description: `Number of dice, 1 to ${MAX_DICE} (defaults to 1)`,
+            },
+            sides: {
+                type: "integer",
+                description: `Sides per die, 2 to ${MAX_SIDES} (defaults to 6)`,
+            },
+        },
+    },
+
+    /**
+     * @param {object} args - Tool arguments
+     * @param {number} [args.count] - Number of dice
+     * @param {number} [args.sides] - Sides per die
+     * @returns {object} - The `rolls` and their `total`
+     */
+    execute({ count = 1, sides = 6 } = {}) {
+        count = Math.round(Number(count));
+        sides = Math.round(Number(sides));
+
+        if (!(count >= 1 && count <= MAX_DICE)) {
+            throw new Error(`count must be between 1 and ${MAX_DICE}`);
+        }
+        if (!(sides >= 2 && sides <= MAX_SIDES)) {
+            throw new Error(`sides must be between 2 and ${MAX_SIDES}`);
+        }
+
+        const rolls = Array.from(
+            { length: count },
+            () => Math.floor(Math.random() * sides) + 1,
+        );
+        return {
+            rolls,
+            total: rolls.reduce((sum, roll) => sum + roll, 0),
+        };
+    },
+};
+
+module.exports = { rollDiceTool };
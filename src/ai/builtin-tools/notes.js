@@ -0,0 +1,68 @@
+/**
+ * Tool: look something up in a local notes file
+ */
+const fs = require("fs");
+const config = require("../../utils/config");
+
+// Most paragraphs returned for one search
+const MAX_RESULTS = 3;
+
+/**
+ * Split a query or paragraph into lowercase words
+ * @param {string} text - Text to split
+ * @returns {string[]} - Words of two letters or more
+ */
+function toWords(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+}
+
+const searchNotesTool = {
+    name: "search_notes",
+    description:
+        "Search the local notes for facts about the server, its people and plans.",
+    parameters: {
+        type: "object",
+        properties: {
+            query: {
+                type: "string",
+                description: "Words to look for",
+            },
+        },
+        required: ["query"],
+    },
+
+    /**
+     * @param {object} args - Tool arguments
+     * @param {string} args.query - Words to look for
+     * @returns {string} - The best matching paragraphs of the notes
+     */
+    execute({ query = "" } = {}) {
+        const { notesPath } = config.tools;
+        if (!fs.existsSync(notesPath)) {
+            return "There are no notes.";
+        }
+
+        // Rank paragraphs by how many of the query's words they contain
+        const queryWords = new Set(toWords(String(query)));
+        const matches = fs
+            .readFileSync(notesPath, "utf8")
+            .split(/\n\s*\n/)
+            .map((paragraph) => paragraph.trim())
+            .filter(Boolean)
+            .map((paragraph) => ({
+                paragraph,
+                score: new Set(
+                    toWords(paragraph).filter((word) => queryWords.has(word)),
+                ).size,
+            }))
+            .filter((match) => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RESULTS);
+
+        return matches.length > 0
+            ? matches.map((match) => match.paragraph).join("\n\n")
+            : "Nothing in the notes matches that.";
+    },
+};
+
+module.exports = { searchNotesTool };
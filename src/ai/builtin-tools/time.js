@@ -0,0 +1,37 @@
+/**
+ * Tool: the current date and time
+ */
+
+const currentTimeTool = {
+    name: "get_current_time",
+    description:
+        "Get the current date and time, optionally in a given time zone.",
+    parameters: {
+        type: "object",
+        properties: {
+            timeZone: {
+                type: "string",
+                description:
+                    'IANA time zone, e.g. "Europe/Berlin" (defaults to the local time zone)',
+            },
+        },
+    },
+
+    /**
+     * @param {object} args - Tool arguments
+     * @param {string} [args.timeZone] - IANA time zone
+     * @returns {string} - The formatted date and time
+     */
+    execute({ timeZone } = {}) {
+        const zone =
+            timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const time = new Date().toLocaleString("en-US", {
+            timeZone: zone,
+            dateStyle: "full",
+            timeStyle: "short",
+        });
+        return `${time} (${zone})`;
+    },
+};
+
+module.exports = { currentTimeTool };
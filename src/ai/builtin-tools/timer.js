@@ -0,0 +1,65 @@
+/**
+ * Tool: set a timer that the bot announces in the voice channel
+ */
+const { createLogger } = require("../../utils/logger");
+
+const logger = createLogger("TimerTool");
+
+// Longest timer that can be set
+const MAX_TIMER_MINUTES = 24 * 60;
+
+const setTimerTool = {
+    name: "set_timer",
+    description:
+        "Set a timer. When it ends, you announce it out loud in the voice channel.",
+    parameters: {
+        type: "object",
+        properties: {
+            minutes: {
+                type: "number",
+                description: "Minutes until the timer ends",
+            },
+            label: {
+                type: "string",
+                description: 'What the timer is for, e.g. "pizza"',
+            },
+        },
+        required: ["minutes"],
+    },
+
+    /**
+     * @param {object} args - Tool arguments
+     * @param {number} args.minutes - Minutes until the timer ends
+     * @param {string} [args.label] - What the timer is for
+     * @param {object} context - Tool context
+     * @param {object} context.session - Voice session to announce the timer in
+     * @returns {string} - Confirmation for the model
+     */
+    execute({ minutes, label } = {}, { session } = {}) {
+        if (!session) {
+            throw new Error("timers can only be set from a voice session");
+        }
+
+        minutes = Number(minutes);
+        if (!(minutes > 0 && minutes <= MAX_TIMER_MINUTES)) {
+            throw new Error(
+                `minutes must be more than 0 and at most ${MAX_TIMER_MINUTES}`,
+            );
+        }
+
+        const name = label ? `The ${label} timer` : "Your timer";
+        const timeout = setTimeout(() => {
+            session.removeListener("close", cancel);
+            logger.info(`Timer ended: ${label || "unlabeled"}`);
+            session.announce(`${name} is done!`);
+        }, minutes * 60000);
+
+        // Timers end with the session
+        const cancel = () => clearTimeout(timeout);
+        session.once("close", cancel);
+
+        return `Timer set for ${minutes} minutes${label ? ` (${label})` : ""}.`;
+    },
+};
+
+module.exports = { setTimerTool };
@@ -1,12 +1,29 @@
 /**
- * LLM Client module for interacting with Ollama API
+ * LLM Client module for chatting with Ollama or OpenAI-compatible APIs
  */
 const axios = require("axios");
 const { createLogger } = require("../utils/logger");
 const config = require("../utils/config");
+const { SentenceSplitter } = require("../utils/sentence-splitter");
+const { estimateTokens, estimateMessageTokens } = require("../utils/tokens");
+const metrics = require("../utils/metrics");
+const tools = require("./tools");
+const { createOllamaProvider } = require("./llm-providers/ollama");
+const {
+    createOpenAICompatibleProvider,
+} = require("./llm-providers/openai-compatible");
 
 const logger = createLogger("LLMClient");
 
+// Factories for the available LLM providers, keyed by name
+const providerFactories = new Map([
+    ["ollama", createOllamaProvider],
+    ["openai", createOpenAICompatibleProvider],
+]);
+
+// The provider in use, created on first use
+let provider = null;
+
 // Enhanced system prompt to instruct the model about TTS-friendly responses
 const TTS_FRIENDLY_PROMPT = `You are a friendly conversation partner in a Discord voice channel. 
 Be natural, casual, and engaging. You're part of the conversation - not an assistant. 
@@ -25,44 +42,72 @@ IMPORTANT FORMATTING INSTRUCTIONS:
 
 You're just another person in the call hanging out with friends.`;
 
-// Initialize conversation history to maintain context
-let conversationHistory = [];
+// Instructions for folding old turns into the running summary
+const SUMMARY_PROMPT = `You summarize a voice chat between several people and you (the bot).
+Write a short summary in plain sentences of what was said, who said it, and anything
+worth remembering (names, plans, jokes, open questions). Merge it with the existing
+summary if there is one. Reply with the summary only.`;
+
+// Tokens kept free for the model's reply when LLM_MAX_TOKENS is not set
+const DEFAULT_RESPONSE_RESERVE = 512;
+
+// Share of the context window the history keeps even if the reply reserve
+// would leave less, e.g. a persona's maxTokens as large as the window
+const MIN_HISTORY_SHARE = 0.25;
+
+// Reserve and context window combinations already warned about
+const warnedBudgets = new Set();
+
+// After summarizing, the remaining turns should fit in this share of the budget
+const SUMMARY_TARGET_RATIO = 0.5;
+
+// Never fold the most recent messages into the summary
+const MIN_RECENT_MESSAGES = 2;
+
+// Instructions for deciding whether the bot should answer (smart response policy)
+const RESPONSE_DECISION_PROMPT = `You are deciding whether a bot in a Discord voice chat
+should say something. You get the latest lines of the conversation; lines starting
+with "You:" were said by the bot. The bot should respond when it is spoken to, asked
+something, or clearly expected to join in, and stay quiet when people are talking
+among themselves. Reply with JSON only: {"respond": true} or {"respond": false}.`;
 
 /**
- * Initialize the conversation with a system prompt
+ * Register the factory of an LLM provider, replacing the built-in one of that
+ * name; LLM_PROVIDER only accepts the built-in names, so a provider of your
+ * own is installed with setProvider()
+ * @param {string} name - Provider name
+ * @param {Function} factory - Returns an object with `chat` and `streamChat` methods,
+ *   plus `chatWithTools` and `toolResultMessage` if it supports tool calling and
+ *   `checkHealth({ timeoutMs })` to report whether the backend is available
  */
-function initializeConversation() {
-    // Use the TTS-friendly prompt if one isn't specified in config, otherwise use the one from config
-    const systemPrompt = config.ollama.systemPrompt || TTS_FRIENDLY_PROMPT;
-
-    conversationHistory = [{ role: "system", content: systemPrompt }];
-    logger.info("Conversation initialized with TTS-friendly system prompt");
+function registerProvider(name, factory) {
+    providerFactories.set(name, factory);
 }
 
 /**
- * Add a user message to the conversation
- * @param {string} username - The username of the speaker
- * @param {string} message - The transcribed message
+ * Use a provider instead of creating the configured one, e.g. a stub in tests
+ * @param {object|null} llmProvider - LLM provider, or null to create the
+ *   configured one again on next use
  */
-function addUserMessage(username, message) {
-    if (!message || message.trim() === "") {
-        return;
-    }
+function setProvider(llmProvider) {
+    provider = llmProvider;
+}
 
-    const formattedMessage = `${username}: ${message}`;
-    conversationHistory.push({
-        role: "user",
-        content: formattedMessage,
-    });
+/**
+ * Get the configured LLM provider, creating it if needed
+ * @returns {object} - LLM provider
+ */
+function getProvider() {
+    if (!provider) {
+        const factory = providerFactories.get(config.llm.provider);
+        if (!factory) {
+            throw new Error(`Unknown LLM provider: ${config.llm.provider}`);
+        }
 
-    // Keep conversation history at a reasonable size (last 10 messages)
-    if (conversationHistory.length > 11) {
-        // 1 system + 10 messages
-        conversationHistory = [
-            conversationHistory[0], // Keep system prompt
-            ...conversationHistory.slice(-10), // Keep last 10 messages
-        ];
+        provider = factory();
+        logger.info(`Using LLM provider: ${provider.name}`);
     }
+    return provider;
 }
 
 /**
@@ -101,43 +146,652 @@ function processTTSFriendlyResponse(response) {
 }
 
 /**
- * Generate a response from the LLM
- * @returns {Promise<string|null>} - The generated response or null if error
+ * Get the number of tokens the history may use, leaving room for the reply.
+ * A reserve that leaves too little is warned about once and clamped, so the
+ * history isn't cut down to the pinned messages on every turn.
+ * @param {object} [sampling] - Sampling options overriding the configured ones
+ * @returns {number} - Token budget for the conversation history
+ */
+function getContextBudget(sampling = {}) {
+    const { contextTokens, maxTokens } = { ...config.llm, ...sampling };
+    const reserve = maxTokens || DEFAULT_RESPONSE_RESERVE;
+    const minimum = Math.floor(contextTokens * MIN_HISTORY_SHARE);
+    if (contextTokens - reserve >= minimum) return contextTokens - reserve;
+
+    const key = `${reserve}/${contextTokens}`;
+    if (!warnedBudgets.has(key)) {
+        warnedBudgets.add(key);
+        logger.warn(
+            `A reply reserve of ${reserve} tokens leaves too little of the ${contextTokens}-token context window, keeping ${minimum} tokens of history`,
+        );
+    }
+    return minimum;
+}
+
+/**
+ * Format messages as plain chat lines, with the bot's lines marked "You:"
+ * @param {object[]} messages - Conversation messages
+ * @returns {string} - One line per message
+ */
+function formatTranscript(messages) {
+    return messages
+        .map((message) =>
+            message.role === "assistant"
+                ? `You: ${message.content}`
+                : message.content,
+        )
+        .join("\n");
+}
+
+/**
+ * Read the yes/no decision out of the model's answer
+ * @param {string} answer - The model's answer, ideally `{"respond": true|false}`
+ * @returns {boolean} - Whether the bot should respond
+ */
+function parseResponseDecision(answer) {
+    const json = (answer || "").match(/\{[\s\S]*\}/);
+    if (json) {
+        try {
+            return JSON.parse(json[0]).respond === true;
+        } catch (error) {
+            logger.debug(
+                `Response decision is not valid JSON: ${error.message}`,
+            );
+        }
+    }
+    return /\b(yes|true)\b/i.test(answer || "");
+}
+
+/**
+ * Check whether replies may call tools
+ * @param {object} llmProvider - LLM provider
+ * @returns {boolean} - Whether tools are enabled and the provider supports them
  */
-async function generateResponse() {
+function canUseTools(llmProvider) {
+    return (
+        config.tools.enabled &&
+        typeof llmProvider.chatWithTools === "function" &&
+        tools.getToolDefinitions().length > 0
+    );
+}
+
+/**
+ * Record the latency and token counts of a completed reply
+ * @param {object} llmProvider - The provider that replied
+ * @param {string} model - Model the request asked for, if any
+ * @param {object[]} messages - Messages sent to the model
+ * @param {string} response - The reply
+ * @param {Function} stopTimer - Timer started when the request was sent
+ */
+function observeResponse(llmProvider, model, messages, response, stopTimer) {
+    const provider = llmProvider.name;
+
+    stopTimer({ provider, model: model || llmProvider.defaultModel });
+    metrics.llmTokens.observe(estimateMessageTokens(messages), {
+        provider,
+        kind: "prompt",
+    });
+    metrics.llmTokens.observe(estimateTokens(response), {
+        provider,
+        kind: "completion",
+    });
+}
+
+/**
+ * Check that the configured LLM backend is available
+ * @param {number} timeoutMs - How long to wait for the backend
+ * @returns {Promise<object>} - `ok`, the `provider` name and the `error` if not ok
+ */
+async function checkHealth(timeoutMs) {
     try {
-        logger.debug("Generating response from Ollama");
+        const llmProvider = getProvider();
+        if (typeof llmProvider.checkHealth === "function") {
+            await llmProvider.checkHealth({ timeoutMs });
+        }
+        return { ok: true, provider: llmProvider.name };
+    } catch (error) {
+        return {
+            ok: false,
+            provider: config.llm.provider,
+            error: error.message,
+        };
+    }
+}
 
-        // Prepare request to Ollama API
-        const response = await axios.post(`${config.ollama.apiHost}/api/chat`, {
-            model: config.ollama.model,
-            messages: conversationHistory,
-            stream: false,
-        });
+/**
+ * Get the default model of the configured LLM provider
+ * @returns {string} - Model name
+ */
+function getDefaultModel() {
+    return getProvider().defaultModel;
+}
+
+/**
+ * A conversation with its own history, used by one voice session
+ */
+class Conversation {
+    /**
+     * @param {object} settings - Session settings, read on every request
+     * @param {string} [settings.systemPrompt] - System prompt for the conversation
+     * @param {string} [settings.model] - Model to use instead of the provider default
+     * @param {object} [settings.sampling] - Sampling options to use instead of the configured ones
+     * @param {object[]} [settings.examples] - Example exchanges (`{ user, assistant }`) showing the persona's style
+     * @param {object} [persistence] - Where the history is persisted
+     * @param {object} [persistence.store] - History store, if history is persisted
+     * @param {string} [persistence.key] - Key of this conversation in the store
+     */
+    constructor(settings = {}, { store = null, key = null } = {}) {
+        this.settings = settings;
+        this.store = store;
+        this.key = key;
+        this.history = [];
+        this.pinnedLength = 0;
+        this.summary = null;
+        this.isSummarizing = false;
+        this.initialize();
+    }
+
+    /**
+     * Build the messages pinned at the start of the history: the system
+     * prompt, the example dialogue and, once there is one, the summary
+     * @returns {object[]} - Pinned messages
+     */
+    pinnedMessages() {
+        // Use the TTS-friendly prompt if one isn't specified in the settings or config
+        const systemPrompt =
+            this.settings.systemPrompt ||
+            config.ollama.systemPrompt ||
+            TTS_FRIENDLY_PROMPT;
+
+        const messages = [{ role: "system", content: systemPrompt }];
+        for (const example of this.settings.examples || []) {
+            messages.push(
+                { role: "user", content: example.user },
+                { role: "assistant", content: example.assistant },
+            );
+        }
+
+        if (this.summary) {
+            messages.push({
+                role: "system",
+                content: `Summary of the earlier conversation: ${this.summary}`,
+            });
+        }
+
+        return messages;
+    }
+
+    /**
+     * Rebuild the pinned messages from the current settings, keeping the turns
+     */
+    refreshPinned() {
+        const turns = this.history.slice(this.pinnedCount());
+        const pinned = this.pinnedMessages();
+
+        this.history = [...pinned, ...turns];
+        this.pinnedLength = pinned.length;
+    }
+
+    /**
+     * Initialize the conversation with a system prompt and any recent stored context
+     */
+    initialize() {
+        this.summary = null;
+        this.history = this.pinnedMessages();
+        this.pinnedLength = this.history.length;
+
+        if (this.store) {
+            const stored = this.store.load(
+                this.key,
+                config.history.reloadMessages,
+            );
+            this.history.push(...stored);
+            logger.info(`Reloaded ${stored.length} messages from history`);
+        }
 
-        // Extract and process response
-        let aiResponse = response.data.message.content;
-        aiResponse = processTTSFriendlyResponse(aiResponse);
+        logger.info("Conversation initialized");
+    }
+
+    /**
+     * Forget the conversation, including its stored history
+     */
+    reset() {
+        if (this.store) {
+            this.store.clear(this.key);
+        }
+        this.initialize();
+    }
+
+    /**
+     * Add a message to the history and persist it
+     * @param {object} message - Message with role and content
+     */
+    pushMessage(message) {
+        this.history.push(message);
+        if (this.store) {
+            this.store.append(this.key, message);
+        }
+        this.enforceTokenBudget();
+    }
+
+    /**
+     * Get the number of messages pinned at the start of the history
+     * @returns {number} - Number of pinned messages
+     */
+    pinnedCount() {
+        return this.pinnedLength;
+    }
+
+    /**
+     * Replace the running summary, pinned after the system prompt and examples
+     * @param {string} summary - The new summary
+     */
+    setSummary(summary) {
+        this.summary = summary;
+        this.refreshPinned();
+    }
+
+    /**
+     * Drop the oldest turns that no longer fit in the context budget.
+     * Summarization normally keeps the history well below this limit.
+     */
+    enforceTokenBudget() {
+        const budget = getContextBudget(this.settings.sampling);
+        const pinned = this.pinnedCount();
+
+        while (
+            this.history.length > pinned + 1 &&
+            estimateMessageTokens(this.history) > budget
+        ) {
+            this.history.splice(pinned, 1);
+            logger.debug("Dropped oldest message to fit the context window");
+        }
+    }
+
+    /**
+     * Fold the oldest turns into the running summary once the history gets
+     * close to the context limit
+     * @returns {Promise<void>}
+     */
+    async summarizeIfNeeded() {
+        if (this.isSummarizing) return;
+
+        const budget = getContextBudget(this.settings.sampling);
+        let remaining = estimateMessageTokens(this.history);
+        if (remaining < budget * config.llm.summarizeAt) return;
+
+        // Fold the oldest turns until what is left fits in the target share
+        const folded = [];
+        const target = budget * SUMMARY_TARGET_RATIO;
+        for (
+            let i = this.pinnedCount();
+            i < this.history.length - MIN_RECENT_MESSAGES && remaining > target;
+            i++
+        ) {
+            folded.push(this.history[i]);
+            remaining -= estimateMessageTokens([this.history[i]]);
+        }
+
+        if (folded.length === 0) return;
 
-        // Add AI response to conversation history
-        conversationHistory.push({
-            role: "assistant",
-            content: aiResponse,
+        this.isSummarizing = true;
+        try {
+            const transcript = formatTranscript(folded);
+            const existing = this.summary
+                ? `Existing summary:\n${this.summary}\n\n`
+                : "";
+
+            const summary = await getProvider().chat(
+                [
+                    { role: "system", content: SUMMARY_PROMPT },
+                    {
+                        role: "user",
+                        content: `${existing}Conversation to add:\n${transcript}`,
+                    },
+                ],
+                { model: this.settings.model },
+            );
+
+            // The conversation may have been reset or trimmed in the meantime
+            if (!this.history.includes(folded[0])) return;
+
+            const foldedMessages = new Set(folded);
+            this.history = this.history.filter(
+                (message) => !foldedMessages.has(message),
+            );
+            this.setSummary(summary.trim());
+
+            logger.info(
+                `Folded ${folded.length} messages into the conversation summary`,
+            );
+        } catch (error) {
+            logger.error("Error summarizing conversation:", error);
+        } finally {
+            this.isSummarizing = false;
+        }
+    }
+
+    /**
+     * Add a user message to the conversation
+     * @param {string} username - The username of the speaker
+     * @param {string} message - The transcribed message
+     */
+    addUserMessage(username, message) {
+        if (!message || message.trim() === "") {
+            return;
+        }
+
+        const formattedMessage = `${username}: ${message}`;
+        this.pushMessage({
+            role: "user",
+            content: formattedMessage,
         });
+    }
 
-        logger.debug(`AI response: ${aiResponse}`);
-        return aiResponse;
-    } catch (error) {
-        logger.error("Error generating response from Ollama:", error);
-        return null;
+    /**
+     * Add a message from the bot that was not a reply, e.g. an announcement
+     * @param {string} message - What the bot said
+     */
+    addAssistantMessage(message) {
+        this.pushMessage({ role: "assistant", content: message });
+    }
+
+    /**
+     * Ask the LLM whether the latest messages call for a reply
+     * @param {object} [options] - Request options
+     * @param {string[]} [options.names] - Names the bot answers to
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<boolean>} - Whether the bot should respond
+     */
+    async decideWhetherToRespond({ names = [], signal } = {}) {
+        try {
+            const recent = this.history
+                .slice(this.pinnedCount())
+                .slice(-config.response.smartContextMessages);
+            const nameLine =
+                names.length > 0
+                    ? `The bot is called: ${names.join(", ")}.\n\n`
+                    : "";
+
+            const answer = await getProvider().chat(
+                [
+                    { role: "system", content: RESPONSE_DECISION_PROMPT },
+                    {
+                        role: "user",
+                        content: `${nameLine}${formatTranscript(recent)}`,
+                    },
+                ],
+                { model: this.settings.model, signal },
+            );
+
+            const respond = parseResponseDecision(answer);
+            logger.debug(`Response decision: ${answer.trim()} -> ${respond}`);
+            return respond;
+        } catch (error) {
+            if (!axios.isCancel(error)) {
+                logger.error("Error deciding whether to respond:", error);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Build the messages for a request: the history, plus a one-off
+     * instruction for the reply language if one is wanted
+     * @param {string} [language] - Language to reply in
+     * @returns {object[]} - Messages to send
+     */
+    buildMessages(language) {
+        if (!language) return this.history;
+
+        return [
+            ...this.history,
+            { role: "system", content: `Reply in ${language}.` },
+        ];
+    }
+
+    /**
+     * Get a reply, letting the model call tools first. Tool results are sent
+     * back until the model answers without calling any, or runs out of rounds.
+     * The tool exchange is only kept for this request, not in the history.
+     * @param {object} llmProvider - LLM provider that supports tool calling
+     * @param {object[]} messages - Messages to send
+     * @param {object} options - Request options
+     * @param {Function} [options.onToken] - Called with each piece of text, to stream the reply
+     * @param {object} [options.toolContext] - Passed to the tools, e.g. `{ session }`
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<string>} - The text of the reply
+     */
+    async chatWithTools(
+        llmProvider,
+        messages,
+        { onToken, toolContext, signal },
+    ) {
+        const requestMessages = [...messages];
+        let text = "";
+        let needsSpace = false;
+
+        // Keep what the model said before calling tools apart from what follows
+        const addText = (piece) => {
+            if (!piece) return;
+            if (needsSpace && !/^\s/.test(piece)) piece = ` ${piece}`;
+            needsSpace = false;
+
+            text += piece;
+            if (onToken) onToken(piece);
+        };
+
+        for (let round = 0; ; round++) {
+            // Offer no tools on the last round, so the model has to answer
+            const { message, toolCalls } = await llmProvider.chatWithTools(
+                requestMessages,
+                {
+                    tools:
+                        round < config.tools.maxRounds
+                            ? tools.getToolDefinitions()
+                            : [],
+                    onToken: onToken ? addText : undefined,
+                    model: this.settings.model,
+                    sampling: this.settings.sampling,
+                    signal,
+                },
+            );
+            if (!onToken) addText(message.content);
+
+            if (toolCalls.length === 0 || round >= config.tools.maxRounds) {
+                return text;
+            }
+
+            needsSpace = text !== "" && !/\s$/.test(text);
+            requestMessages.push(message);
+            for (const call of toolCalls) {
+                const result = await tools.runTool(call, toolContext);
+                requestMessages.push(
+                    llmProvider.toolResultMessage(call, result),
+                );
+            }
+        }
+    }
+
+    /**
+     * Generate a response from the LLM
+     * @param {object} [options] - Generation options
+     * @param {string} [options.language] - Language to reply in
+     * @param {object} [options.toolContext] - Passed to any tools the model calls
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<string|null>} - The generated response or null if error
+     */
+    async generateResponse({ language, toolContext, signal } = {}) {
+        try {
+            const llmProvider = getProvider();
+            logger.debug(`Generating response from ${llmProvider.name}`);
+
+            // Extract and process response
+            const messages = this.buildMessages(language);
+            const stopTimer = metrics.llmSeconds.startTimer();
+            let aiResponse = canUseTools(llmProvider)
+                ? await this.chatWithTools(llmProvider, messages, {
+                      toolContext,
+                      signal,
+                  })
+                : await llmProvider.chat(messages, {
+                      model: this.settings.model,
+                      sampling: this.settings.sampling,
+                      signal,
+                  });
+            observeResponse(
+                llmProvider,
+                this.settings.model,
+                messages,
+                aiResponse,
+                stopTimer,
+            );
+            aiResponse = processTTSFriendlyResponse(aiResponse);
+
+            // Add AI response to conversation history
+            this.pushMessage({
+                role: "assistant",
+                content: aiResponse,
+            });
+
+            // Summarize in the background so the reply isn't delayed
+            this.summarizeIfNeeded();
+
+            logger.debug(`AI response: ${aiResponse}`);
+            return aiResponse;
+        } catch (error) {
+            if (axios.isCancel(error)) {
+                logger.debug("Response generation cancelled");
+                return null;
+            }
+            logger.error("Error generating response from LLM:", error);
+            metrics.backendFailures.inc({
+                backend: "llm",
+                provider: config.llm.provider,
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Generate a response from the LLM, streaming it sentence by sentence
+     * @param {object} options - Generation options
+     * @param {Function} options.onSentence - Called with each complete, TTS-friendly sentence
+     * @param {string} [options.language] - Language to reply in
+     * @param {object} [options.toolContext] - Passed to any tools the model calls
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+     * @returns {Promise<string|null>} - The full generated response or null if error
+     */
+    async generateResponseStream({
+        onSentence,
+        language,
+        toolContext,
+        signal,
+    } = {}) {
+        try {
+            const llmProvider = getProvider();
+            logger.debug(`Streaming response from ${llmProvider.name}`);
+
+            const splitter = new SentenceSplitter();
+            const emitSentence = (sentence) => {
+                const spoken = processTTSFriendlyResponse(sentence).trim();
+                if (spoken !== "") onSentence(spoken);
+            };
+
+            const messages = this.buildMessages(language);
+            const stopTimer = metrics.llmSeconds.startTimer();
+            const onToken = (token) =>
+                splitter.push(token).forEach(emitSentence);
+            const fullResponse = canUseTools(llmProvider)
+                ? await this.chatWithTools(llmProvider, messages, {
+                      onToken,
+                      toolContext,
+                      signal,
+                  })
+                : await llmProvider.streamChat(messages, {
+                      model: this.settings.model,
+                      sampling: this.settings.sampling,
+                      signal,
+                      onToken,
+                  });
+
+            observeResponse(
+                llmProvider,
+                this.settings.model,
+                messages,
+                fullResponse,
+                stopTimer,
+            );
+
+            const rest = splitter.flush();
+            if (rest) emitSentence(rest);
+
+            const aiResponse = processTTSFriendlyResponse(fullResponse);
+
+            // Add AI response to conversation history
+            this.pushMessage({
+                role: "assistant",
+                content: aiResponse,
+            });
+
+            // Summarize in the background so the reply isn't delayed
+            this.summarizeIfNeeded();
+
+            logger.debug(`AI response: ${aiResponse}`);
+            return aiResponse;
+        } catch (error) {
+            if (axios.isCancel(error)) {
+                logger.debug("Response stream cancelled");
+                return null;
+            }
+            logger.error("Error streaming response from LLM:", error);
+            metrics.backendFailures.inc({
+                backend: "llm",
+                provider: config.llm.provider,
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Record the current AI response as interrupted by a user
+     * @param {string} spokenText - The part of the response that was actually spoken
+     */
+    markLastResponseInterrupted(spokenText) {
+        const content = spokenText
+            ? `${spokenText.trim()}... [interrupted]`
+            : "[interrupted before speaking]";
+
+        // A cancelled response may not have reached the history yet
+        const lastMessage = this.history[this.history.length - 1];
+        if (lastMessage.role === "assistant") {
+            lastMessage.content = content;
+            if (this.store) {
+                this.store.updateLast(this.key, lastMessage);
+            }
+        } else {
+            this.pushMessage({ role: "assistant", content });
+        }
+
+        logger.debug(`Marked response as interrupted: ${content}`);
     }
 }
 
-// Initialize conversation on module load
-initializeConversation();
+/**
+ * Create a conversation with its own history
+ * @param {object} [settings] - Session settings (system prompt, model, persona)
+ * @param {object} [persistence] - History store and key, if history is persisted
+ * @returns {Conversation} - The new conversation
+ */
+function createConversation(settings, persistence) {
+    return new Conversation(settings, persistence);
+}
 
 module.exports = {
-    addUserMessage,
-    generateResponse,
-    initializeConversation,
+    createConversation,
+    getDefaultModel,
+    checkHealth,
+    registerProvider,
+    setProvider,
+    getContextBudget, // Export for testing
 };
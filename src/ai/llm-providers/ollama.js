@@ -0,0 +1,193 @@
+/**
+ * LLM provider for the Ollama chat API
+ */
+const axios = require("axios");
+const config = require("../../utils/config");
+const { readLines } = require("./stream-lines");
+
+/**
+ * Map the generic sampling options onto Ollama's `options` object
+ * @param {object} [sampling] - Per-request overrides of the configured options
+ * @returns {object} - Ollama model options
+ */
+function buildOptions(sampling = {}) {
+    const { temperature, maxTokens, stop } = { ...config.llm, ...sampling };
+    const options = { ...config.llm.extraOptions, ...sampling.extraOptions };
+
+    if (temperature !== undefined) options.temperature = temperature;
+    if (maxTokens !== undefined) options.num_predict = maxTokens;
+    if (stop.length > 0) options.stop = stop;
+
+    return options;
+}
+
+/**
+ * Create the Ollama provider
+ * @returns {object} - LLM provider
+ */
+function createOllamaProvider() {
+    const request = (
+        messages,
+        { model, sampling, tools },
+        stream,
+        requestConfig,
+    ) =>
+        axios.post(
+            `${config.ollama.apiHost}/api/chat`,
+            {
+                model: model || config.ollama.model,
+                messages,
+                stream,
+                options: buildOptions(sampling),
+                // Models without tool support reject requests that list tools
+                ...(tools && tools.length > 0 ? { tools } : {}),
+            },
+            requestConfig,
+        );
+
+    return {
+        name: "ollama",
+
+        get defaultModel() {
+            return config.ollama.model;
+        },
+
+        /**
+         * Generate a complete chat response
+         * @param {object[]} messages - Conversation messages
+         * @param {object} [options] - Request options
+         * @param {string} [options.model] - Model to use instead of the default
+         * @param {object} [options.sampling] - Sampling options to use instead of the configured ones
+         * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+         * @returns {Promise<string>} - The response text
+         */
+        async chat(messages, { model, sampling, signal } = {}) {
+            const response = await request(
+                messages,
+                { model, sampling },
+                false,
+                {
+                    signal,
+                },
+            );
+            return response.data.message.content;
+        },
+
+        /**
+         * Generate a chat response, reporting each token as it arrives
+         * @param {object[]} messages - Conversation messages
+         * @param {object} options - Request options
+         * @param {Function} options.onToken - Called with each piece of generated text
+         * @param {string} [options.model] - Model to use instead of the default
+         * @param {object} [options.sampling] - Sampling options to use instead of the configured ones
+         * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+         * @returns {Promise<string>} - The full response text
+         */
+        async streamChat(messages, { onToken, model, sampling, signal } = {}) {
+            const response = await request(
+                messages,
+                { model, sampling },
+                true,
+                {
+                    responseType: "stream",
+                    signal,
+                },
+            );
+
+            // Ollama streams one JSON object per line
+            let fullResponse = "";
+            for await (const line of readLines(response.data)) {
+                const part = JSON.parse(line);
+                const content = part.message ? part.message.content : "";
+                if (!content) continue;
+
+                fullResponse += content;
+                onToken(content);
+            }
+
+            return fullResponse;
+        },
+
+        /**
+         * Generate a chat response that may call tools, streamed if `onToken` is given
+         * @param {object[]} messages - Conversation messages
+         * @param {object} options - Request options
+         * @param {object[]} options.tools - Tool definitions the model may call
+         * @param {Function} [options.onToken] - Called with each piece of generated text
+         * @param {string} [options.model] - Model to use instead of the default
+         * @param {object} [options.sampling] - Sampling options to use instead of the configured ones
+         * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+         * @returns {Promise<object>} - The assistant `message`, to send back with the
+         *   tool results, and the `toolCalls` it makes as `{ id, name, arguments }`
+         */
+        async chatWithTools(
+            messages,
+            { tools, onToken, model, sampling, signal },
+        ) {
+            let message;
+            if (onToken) {
+                const response = await request(
+                    messages,
+                    { model, sampling, tools },
+                    true,
+                    { responseType: "stream", signal },
+                );
+
+                // Text arrives token by token, tool calls whole
+                message = { role: "assistant", content: "", tool_calls: [] };
+                for await (const line of readLines(response.data)) {
+                    const part = JSON.parse(line).message;
+                    if (!part) continue;
+
+                    if (part.content) {
+                        message.content += part.content;
+                        onToken(part.content);
+                    }
+                    if (part.tool_calls) {
+                        message.tool_calls.push(...part.tool_calls);
+                    }
+                }
+            } else {
+                const response = await request(
+                    messages,
+                    { model, sampling, tools },
+                    false,
+                    { signal },
+                );
+                message = response.data.message;
+            }
+
+            const toolCalls = (message.tool_calls || []).map((call, index) => ({
+                id: String(index),
+                name: call.function.name,
+                arguments: call.function.arguments || {},
+            }));
+
+            return { message, toolCalls };
+        },
+
+        /**
+         * Build the message that reports a tool's result back to the model
+         * @param {object} call - The tool call, as returned by `chatWithTools`
+         * @param {string} result - The tool's result
+         * @returns {object} - Tool result message
+         */
+        toolResultMessage(call, result) {
+            return { role: "tool", content: result, tool_name: call.name };
+        },
+
+        /**
+         * Check that the backend can be reached
+         * @param {object} options - Check options
+         * @param {number} options.timeoutMs - How long to wait for the backend
+         * @returns {Promise<void>} - Rejects if the backend is unavailable
+         */
+        async checkHealth({ timeoutMs }) {
+            await axios.get(`${config.ollama.apiHost}/api/tags`, {
+                timeout: timeoutMs,
+            });
+        },
+    };
+}
+
+module.exports = { createOllamaProvider };
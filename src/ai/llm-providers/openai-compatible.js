@@ -0,0 +1,247 @@
+/**
+ * LLM provider for OpenAI-compatible chat completion APIs
+ * (e.g. llama.cpp server, vLLM or LM Studio)
+ */
+const axios = require("axios");
+const config = require("../../utils/config");
+const { readLines } = require("./stream-lines");
+
+/**
+ * Map the generic sampling options onto chat completion request fields
+ * @param {object} [sampling] - Per-request overrides of the configured options
+ * @returns {object} - Request body fields
+ */
+function buildOptions(sampling = {}) {
+    const { temperature, maxTokens, stop } = { ...config.llm, ...sampling };
+    const options = { ...config.llm.extraOptions, ...sampling.extraOptions };
+
+    if (temperature !== undefined) options.temperature = temperature;
+    if (maxTokens !== undefined) options.max_tokens = maxTokens;
+    if (stop.length > 0) options.stop = stop;
+
+    return options;
+}
+
+/**
+ * Convert the tool calls of a chat completion message to `{ id, name, arguments }`
+ * @param {object[]} [toolCalls] - The message's `tool_calls`
+ * @returns {object[]} - Tool calls with parsed arguments
+ */
+function parseToolCalls(toolCalls = []) {
+    return toolCalls.map((call) => {
+        let args = {};
+        try {
+            args = JSON.parse(call.function.arguments || "{}");
+        } catch (error) {
+            // Malformed arguments; the tool reports what is missing
+        }
+        return { id: call.id, name: call.function.name, arguments: args };
+    });
+}
+
+/**
+ * Create the OpenAI-compatible provider
+ * @returns {object} - LLM provider
+ */
+function createOpenAICompatibleProvider() {
+    const request = (
+        messages,
+        { model, sampling, tools },
+        stream,
+        requestConfig,
+    ) => {
+        const { apiUrl, apiKey } = config.llm.openai;
+
+        return axios.post(
+            `${apiUrl}/v1/chat/completions`,
+            {
+                ...buildOptions(sampling),
+                model: model || config.llm.openai.model,
+                messages,
+                stream,
+                ...(tools && tools.length > 0 ? { tools } : {}),
+            },
+            {
+                ...requestConfig,
+                headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            },
+        );
+    };
+
+    return {
+        name: "openai",
+
+        get defaultModel() {
+            return config.llm.openai.model;
+        },
+
+        /**
+         * Generate a complete chat response
+         * @param {object[]} messages - Conversation messages
+         * @param {object} [options] - Request options
+         * @param {string} [options.model] - Model to use instead of the default
+         * @param {object} [options.sampling] - Sampling options to use instead of the configured ones
+         * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+         * @returns {Promise<string>} - The response text
+         */
+        async chat(messages, { model, sampling, signal } = {}) {
+            const response = await request(
+                messages,
+                { model, sampling },
+                false,
+                {
+                    signal,
+                },
+            );
+            return response.data.choices[0].message.content || "";
+        },
+
+        /**
+         * Generate a chat response, reporting each token as it arrives
+         * @param {object[]} messages - Conversation messages
+         * @param {object} options - Request options
+         * @param {Function} options.onToken - Called with each piece of generated text
+         * @param {string} [options.model] - Model to use instead of the default
+         * @param {object} [options.sampling] - Sampling options to use instead of the configured ones
+         * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+         * @returns {Promise<string>} - The full response text
+         */
+        async streamChat(messages, { onToken, model, sampling, signal } = {}) {
+            const response = await request(
+                messages,
+                { model, sampling },
+                true,
+                {
+                    responseType: "stream",
+                    signal,
+                },
+            );
+
+            // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+            let fullResponse = "";
+            for await (const line of readLines(response.data)) {
+                if (!line.startsWith("data:")) continue;
+
+                const data = line.slice("data:".length).trim();
+                if (data === "[DONE]") break;
+
+                const [choice] = JSON.parse(data).choices;
+                const content = choice && choice.delta && choice.delta.content;
+                if (!content) continue;
+
+                fullResponse += content;
+                onToken(content);
+            }
+
+            return fullResponse;
+        },
+
+        /**
+         * Generate a chat response that may call tools, streamed if `onToken` is given
+         * @param {object[]} messages - Conversation messages
+         * @param {object} options - Request options
+         * @param {object[]} options.tools - Tool definitions the model may call
+         * @param {Function} [options.onToken] - Called with each piece of generated text
+         * @param {string} [options.model] - Model to use instead of the default
+         * @param {object} [options.sampling] - Sampling options to use instead of the configured ones
+         * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+         * @returns {Promise<object>} - The assistant `message`, to send back with the
+         *   tool results, and the `toolCalls` it makes as `{ id, name, arguments }`
+         */
+        async chatWithTools(
+            messages,
+            { tools, onToken, model, sampling, signal },
+        ) {
+            if (!onToken) {
+                const response = await request(
+                    messages,
+                    { model, sampling, tools },
+                    false,
+                    { signal },
+                );
+                const { message } = response.data.choices[0];
+                return {
+                    message,
+                    toolCalls: parseToolCalls(message.tool_calls),
+                };
+            }
+
+            const response = await request(
+                messages,
+                { model, sampling, tools },
+                true,
+                { responseType: "stream", signal },
+            );
+
+            let content = "";
+            const calls = [];
+            for await (const line of readLines(response.data)) {
+                if (!line.startsWith("data:")) continue;
+
+                const data = line.slice("data:".length).trim();
+                if (data === "[DONE]") break;
+
+                const [choice] = JSON.parse(data).choices;
+                const delta = choice && choice.delta;
+                if (!delta) continue;
+
+                if (delta.content) {
+                    content += delta.content;
+                    onToken(delta.content);
+                }
+
+                // Tool calls arrive in pieces: the id and name first, then
+                // the arguments a few characters at a time
+                for (const piece of delta.tool_calls || []) {
+                    if (!calls[piece.index]) {
+                        calls[piece.index] = {
+                            id: piece.id,
+                            type: "function",
+                            function: { name: "", arguments: "" },
+                        };
+                    }
+
+                    const call = calls[piece.index];
+                    if (piece.function && piece.function.name) {
+                        call.function.name += piece.function.name;
+                    }
+                    if (piece.function && piece.function.arguments) {
+                        call.function.arguments += piece.function.arguments;
+                    }
+                }
+            }
+
+            const message = { role: "assistant", content };
+            const toolCalls = calls.filter(Boolean);
+            if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
+            return { message, toolCalls: parseToolCalls(toolCalls) };
+        },
+
+        /**
+         * Build the message that reports a tool's result back to the model
+         * @param {object} call - The tool call, as returned by `chatWithTools`
+         * @param {string} result - The tool's result
+         * @returns {object} - Tool result message
+         */
+        toolResultMessage(call, result) {
+            return { role: "tool", tool_call_id: call.id, content: result };
+        },
+
+        /**
+         * Check that the backend can be reached
+         * @param {object} options - Check options
+         * @param {number} options.timeoutMs - How long to wait for the backend
+         * @returns {Promise<void>} - Rejects if the backend is unavailable
+         */
+        async checkHealth({ timeoutMs }) {
+            const { apiUrl, apiKey } = config.llm.openai;
+            await axios.get(`${apiUrl}/v1/models`, {
+                timeout: timeoutMs,
+                headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            });
+        },
+    };
+}
+
+module.exports = { createOpenAICompatibleProvider };
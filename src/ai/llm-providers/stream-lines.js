@@ -0,0 +1,26 @@
+/**
+ * Helper for reading line-delimited streaming HTTP responses
+ */
+
+/**
+ * Iterate over the complete, non-empty lines of a stream
+ * @param {AsyncIterable<Buffer|string>} stream - The response stream
+ * @returns {AsyncGenerator<string>} - Each line, without the newline
+ */
+async function* readLines(stream) {
+    let pending = "";
+
+    for await (const chunk of stream) {
+        pending += chunk.toString();
+        const lines = pending.split("\n");
+        pending = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim() !== "") yield line.trim();
+        }
+    }
+
+    if (pending.trim() !== "") yield pending.trim();
+}
+
+module.exports = { readLines };
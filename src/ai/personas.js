@@ -0,0 +1,161 @@
+/**
+ * Personas: characters defined by JSON files in the personas directory.
+ * Files are read on every lookup, so they can be edited while the bot runs.
+ */
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../utils/logger");
+const config = require("../utils/config");
+
+const logger = createLogger("Personas");
+
+/**
+ * Check whether a value is an object with keys, rather than an array or null
+ * @param {*} value - The value
+ * @returns {boolean} - Whether it is a plain object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Sampling options a persona may set, with the check of each value
+const SAMPLING_OPTIONS = {
+    temperature: (value) => typeof value === "number" && value >= 0,
+    maxTokens: (value) => Number.isInteger(value) && value > 0,
+    contextTokens: (value) => Number.isInteger(value) && value > 0,
+    stop: (value) =>
+        Array.isArray(value) && value.every((item) => typeof item === "string"),
+    extraOptions: isPlainObject,
+};
+
+/**
+ * Find what is wrong with the optional fields of a persona definition
+ * @param {object} definition - Parsed persona file
+ * @returns {string[]} - A message per problem
+ */
+function findProblems(definition) {
+    const problems = [];
+    const { examples, sampling } = definition;
+
+    if (
+        examples !== undefined &&
+        !(
+            Array.isArray(examples) &&
+            examples.every(
+                (example) =>
+                    isPlainObject(example) &&
+                    typeof example.user === "string" &&
+                    typeof example.assistant === "string",
+            )
+        )
+    ) {
+        problems.push("examples must be a list of { user, assistant } strings");
+    }
+
+    if (sampling !== undefined) {
+        if (!isPlainObject(sampling)) {
+            problems.push("sampling must be an object");
+        } else {
+            for (const [key, value] of Object.entries(sampling)) {
+                const check = SAMPLING_OPTIONS[key];
+                if (!check) {
+                    problems.push(`sampling.${key} is not a sampling option`);
+                } else if (!check(value)) {
+                    problems.push(
+                        `sampling.${key} has an invalid value: ${JSON.stringify(value)}`,
+                    );
+                }
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Read and check a persona file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {object|null} - The persona, or null if the file is invalid
+ */
+function readPersona(filePath) {
+    let definition;
+    try {
+        definition = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+        logger.error(`Failed to read persona file: ${filePath}`, error);
+        return null;
+    }
+
+    if (
+        !isPlainObject(definition) ||
+        !definition.name ||
+        !definition.systemPrompt
+    ) {
+        logger.warn(`Persona needs a name and a systemPrompt: ${filePath}`);
+        return null;
+    }
+
+    const problems = findProblems(definition);
+    if (problems.length > 0) {
+        logger.warn(
+            `Skipping invalid persona ${filePath}: ${problems.join("; ")}`,
+        );
+        return null;
+    }
+
+    // Optional fields left out of the file fall back to the configured defaults
+    return {
+        id: path.basename(filePath, ".json"),
+        name: definition.name,
+        systemPrompt: definition.systemPrompt,
+        voice: definition.voice || null,
+        speakingRate:
+            typeof definition.speakingRate === "number"
+                ? definition.speakingRate
+                : null,
+        pitch: typeof definition.pitch === "number" ? definition.pitch : null,
+        model: definition.model || null,
+        sampling: definition.sampling || {},
+        examples: (definition.examples || []).filter(
+            (example) => example.user && example.assistant,
+        ),
+    };
+}
+
+/**
+ * List the valid personas in the personas directory
+ * @returns {object[]} - Personas, ordered by file name
+ */
+function listPersonas() {
+    const { directory } = config.personas;
+    if (!fs.existsSync(directory)) return [];
+
+    return fs
+        .readdirSync(directory)
+        .filter((fileName) => fileName.endsWith(".json"))
+        .sort()
+        .map((fileName) => readPersona(path.join(directory, fileName)))
+        .filter(Boolean);
+}
+
+/**
+ * Find a persona by file name (without .json) or by its name
+ * @param {string} name - File name or persona name, case-insensitive
+ * @returns {object|null} - The persona, or null if there is none by that name
+ */
+function getPersona(name) {
+    const wanted = name.trim().toLowerCase();
+
+    return (
+        listPersonas().find(
+            (persona) =>
+                persona.id.toLowerCase() === wanted ||
+                persona.name.toLowerCase() === wanted,
+        ) || null
+    );
+}
+
+module.exports = {
+    listPersonas,
+    getPersona,
+};
@@ -0,0 +1,95 @@
+/**
+ * Response policies: decide whether the bot answers what it heard
+ */
+const { createLogger } = require("../utils/logger");
+const config = require("../utils/config");
+
+const logger = createLogger("ResponsePolicy");
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Check whether any of the transcripts contains a wake word or phrase. Unlike
+ * `\b`, which only knows ASCII letters, the boundaries hold in any script, so
+ * "Zoë" matches on its own and "Ada" doesn't match inside "Adaś".
+ * @param {string[]} transcripts - Transcribed utterances
+ * @param {string[]} wakeWords - Lowercase names or phrases the bot answers to
+ * @returns {boolean} - Whether the bot was addressed
+ */
+function containsWakeWord(transcripts, wakeWords) {
+    return wakeWords.some((wakeWord) => {
+        const pattern = new RegExp(
+            `(?<!\\p{L})${escapeRegExp(wakeWord)}(?!\\p{L})`,
+            "iu",
+        );
+        return transcripts.some((transcript) => pattern.test(transcript));
+    });
+}
+
+/**
+ * Policies keyed by name. Each receives the new transcripts, the conversation
+ * (already holding them) and an abort signal, and resolves to whether to respond.
+ */
+const policies = new Map([
+    // Answer everything that was said
+    ["always", async () => true],
+
+    // Answer only when addressed by one of the wake words
+    [
+        "wake-word",
+        async ({ transcripts }) =>
+            containsWakeWord(transcripts, config.response.wakeWords),
+    ],
+
+    // Answer when addressed, otherwise let the LLM judge from recent history
+    [
+        "smart",
+        async ({ transcripts, conversation, signal }) =>
+            containsWakeWord(transcripts, config.response.wakeWords) ||
+            conversation.decideWhetherToRespond({
+                names: config.response.wakeWords,
+                signal,
+            }),
+    ],
+]);
+
+/**
+ * Get the names of the available response policies
+ * @returns {string[]} - Policy names
+ */
+function getPolicyNames() {
+    return [...policies.keys()];
+}
+
+/**
+ * Decide whether the bot should respond to the latest utterances
+ * @param {string} policyName - Name of the response policy
+ * @param {object} context - What the policy decides on
+ * @param {string[]} context.transcripts - Transcribed utterances of this turn
+ * @param {object} context.conversation - Conversation the transcripts were added to
+ * @param {AbortSignal} [context.signal] - Signal used to cancel the decision
+ * @returns {Promise<boolean>} - Whether the bot should respond
+ */
+async function shouldRespond(policyName, context) {
+    const policy = policies.get(policyName);
+    if (!policy) {
+        logger.warn(`Unknown response policy "${policyName}", answering`);
+        return true;
+    }
+
+    const respond = await policy(context);
+    logger.debug(`Policy "${policyName}" decided to respond: ${respond}`);
+    return respond;
+}
+
+module.exports = {
+    shouldRespond,
+    getPolicyNames,
+};
@@ -1,21 +1,146 @@
 /**
- * Speech-to-Text module using Google Cloud Speech API
+ * Speech-to-Text module with pluggable transcription backends
  */
 const fs = require("fs");
-const { SpeechClient } = require("@google-cloud/speech");
+const { EventEmitter } = require("events");
 const { createLogger } = require("../utils/logger");
 const config = require("../utils/config");
+const tempFileManager = require("../utils/temp-file-manager");
+const metrics = require("../utils/metrics");
+const { findLanguage } = require("../utils/languages");
+const { CAPTURE_FORMAT, convertPcm, pcmToWav } = require("../audio/pcm");
+const { createGoogleProvider } = require("./stt-providers/google");
+const {
+    createOpenAICompatibleProvider,
+} = require("./stt-providers/openai-compatible");
+const { createCommandProvider } = require("./stt-providers/command");
 
 const logger = createLogger("SpeechToText");
-const speechClient = new SpeechClient();
 
-// Configuration for Google Cloud Speech API requests
-const REQUEST_CONFIG = config.google.speechToText;
+// Factories for the available STT providers, keyed by name
+const providerFactories = new Map([
+    ["google", createGoogleProvider],
+    ["openai", createOpenAICompatibleProvider],
+    ["command", createCommandProvider],
+]);
+
+// Audio format used for providers that don't declare their own
+const DEFAULT_AUDIO_FORMAT = {
+    sampleRate: 16000,
+    channels: 1,
+    wavHeader: false,
+};
+
+// The provider in use, created on first use
+let provider = null;
+
+/**
+ * Register the factory of an STT provider, replacing the built-in one of that
+ * name; STT_PROVIDER only accepts the built-in names, so a provider of your
+ * own is installed with setProvider()
+ * @param {string} name - Provider name
+ * @param {Function} factory - Returns an object with a `transcribe(audioFilePath, format)`
+ * method resolving to the text or `{ text, language }`, optionally the `audioFormat` it expects, and a `createStream(format, { onInterim })`
+ * method for streaming recognition, plus `checkHealth({ timeoutMs })` to report whether the backend is available
+ */
+function registerProvider(name, factory) {
+    providerFactories.set(name, factory);
+}
+
+/**
+ * Use a provider instead of creating the configured one, e.g. a stub in tests
+ * @param {object|null} sttProvider - STT provider, or null to create the
+ *   configured one again on next use
+ */
+function setProvider(sttProvider) {
+    provider = sttProvider;
+}
+
+/**
+ * Get the configured STT provider, creating it if needed
+ * @returns {object} - STT provider
+ */
+function getProvider() {
+    if (!provider) {
+        const factory = providerFactories.get(config.stt.provider);
+        if (!factory) {
+            throw new Error(`Unknown STT provider: ${config.stt.provider}`);
+        }
+
+        provider = factory();
+        logger.info(`Using STT provider: ${provider.name}`);
+    }
+    return provider;
+}
+
+/**
+ * Get the audio format to send to a provider: its own defaults, overridden
+ * by any STT_SAMPLE_RATE, STT_CHANNELS or STT_WAV_HEADER settings
+ * @param {object} sttProvider - STT provider
+ * @returns {object} - PCM format plus whether to write a WAV header
+ */
+function getAudioFormat(sttProvider) {
+    const format = {
+        ...DEFAULT_AUDIO_FORMAT,
+        ...sttProvider.audioFormat,
+        bitDepth: CAPTURE_FORMAT.bitDepth,
+    };
+
+    for (const [key, value] of Object.entries(config.stt.audio)) {
+        if (value !== undefined) format[key] = value;
+    }
+
+    return format;
+}
+
+/**
+ * Convert captured audio to the format a provider expects
+ * @param {string} audioFilePath - Path to the captured PCM file
+ * @param {object} format - Target format
+ * @returns {string} - Path to a temporary file with the converted audio
+ */
+function prepareAudio(audioFilePath, format) {
+    let audio = convertPcm(
+        fs.readFileSync(audioFilePath),
+        CAPTURE_FORMAT,
+        format,
+    );
+    if (format.wavHeader) {
+        audio = pcmToWav(audio, format);
+    }
+
+    const preparedFilePath = tempFileManager.createTempFilePath(
+        "stt-input",
+        format.wavHeader ? "wav" : "pcm",
+    );
+    tempFileManager.registerTempFile(preparedFilePath);
+    fs.writeFileSync(preparedFilePath, audio);
+
+    return preparedFilePath;
+}
+
+/**
+ * Normalize what a provider returned into text and one of the candidate languages
+ * @param {string|object} result - Text, or `{ text, language }` if the provider detects languages
+ * @returns {object} - Lowercased `text` and the detected `language` code, or null if unknown
+ */
+function toTranscription(result) {
+    const { text, language } =
+        typeof result === "string" ? { text: result } : result;
+    const { languages } = config.stt;
+
+    return {
+        text: text.toLowerCase(),
+        language:
+            findLanguage(language, languages) ||
+            (languages.length === 1 ? languages[0] : null),
+    };
+}
 
 /**
  * Transcribe audio file to text
  * @param {string} audioFilePath - Path to the audio file
- * @returns {Promise<string|null>} - Transcription text or null if error
+ * @returns {Promise<object|null>} - Transcription with `text` and detected `language`, or null if error
  */
 async function transcribeAudio(audioFilePath) {
     try {
@@ -27,40 +152,170 @@ async function transcribeAudio(audioFilePath) {
             logger.debug(
                 `File too small (${stats.size} bytes), skipping transcription`,
             );
+            metrics.skippedUtterances.inc({ reason: "file_too_small" });
             return null;
         }
 
-        // Read file and convert to base64
-        const audioBytes = fs.readFileSync(audioFilePath).toString("base64");
+        // Downmix and resample to what the backend expects
+        const sttProvider = getProvider();
+        const format = getAudioFormat(sttProvider);
+        const preparedFilePath = prepareAudio(audioFilePath, format);
 
-        // Create request to Google Cloud Speech API
-        const request = {
-            audio: {
-                content: audioBytes,
-            },
-            config: REQUEST_CONFIG,
-        };
-
-        // Send request to Google Cloud Speech API
-        const [response] = await speechClient.recognize(request);
+        let transcription;
+        try {
+            const stopTimer = metrics.sttSeconds.startTimer({
+                provider: sttProvider.name,
+                mode: "batch",
+            });
+            transcription = await sttProvider.transcribe(
+                preparedFilePath,
+                format,
+            );
+            stopTimer();
+        } finally {
+            tempFileManager.deleteTempFile(preparedFilePath);
+        }
 
-        // Process response
-        const transcription = response.results
-            .map((result) => result.alternatives[0].transcript)
-            .join("\n");
+        const result = toTranscription(transcription);
 
         // Log transcription if debug is enabled
         if (config.app.debug) {
-            logger.debug(`Transcription result: ${transcription}`);
+            logger.debug(
+                `Transcription result (${result.language}): ${result.text}`,
+            );
         }
 
-        return transcription.toLowerCase();
+        return result;
     } catch (error) {
         logger.error("Error transcribing audio:", error);
+        metrics.backendFailures.inc({
+            backend: "stt",
+            provider: config.stt.provider,
+        });
+        return null;
+    }
+}
+
+/**
+ * Recognizes speech while it is being captured. Emits "interim" with the
+ * partial transcript as the recognizer revises it.
+ */
+class RecognitionStream extends EventEmitter {
+    /**
+     * @param {object} sttProvider - STT provider that supports streaming
+     */
+    constructor(sttProvider) {
+        super();
+        this.provider = sttProvider.name;
+        this.format = getAudioFormat(sttProvider);
+        this.stream = sttProvider.createStream(this.format, {
+            onInterim: (text) => this.emit("interim", text.toLowerCase()),
+        });
+        this.isFinished = false;
+    }
+
+    /**
+     * Send captured audio to the recognizer
+     * @param {Buffer} pcm - PCM in the capture format
+     */
+    write(pcm) {
+        if (this.isFinished) return;
+        this.stream.write(convertPcm(pcm, CAPTURE_FORMAT, this.format));
+    }
+
+    /**
+     * Signal the end of the utterance and wait for the final transcript
+     * @returns {Promise<object|null>} - Transcription with `text` and detected `language`, or null if error
+     */
+    async finish() {
+        this.isFinished = true;
+
+        try {
+            // Only the wait for the final transcript, the rest overlapped with speech
+            const stopTimer = metrics.sttSeconds.startTimer({
+                provider: this.provider,
+                mode: "streaming",
+            });
+            const result = toTranscription(await this.stream.end());
+            stopTimer();
+
+            // Log transcription if debug is enabled
+            if (config.app.debug) {
+                logger.debug(
+                    `Streaming transcription result (${result.language}): ${result.text}`,
+                );
+            }
+
+            return result;
+        } catch (error) {
+            logger.error("Error in streaming transcription:", error);
+            metrics.backendFailures.inc({
+                backend: "stt",
+                provider: this.provider,
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Stop recognizing and discard the result
+     */
+    abort() {
+        if (this.isFinished) return;
+        this.isFinished = true;
+        this.stream.abort();
+    }
+}
+
+/**
+ * Check that the configured STT backend is available
+ * @param {number} timeoutMs - How long to wait for the backend
+ * @returns {Promise<object>} - `ok`, the `provider` name and the `error` if not ok
+ */
+async function checkHealth(timeoutMs) {
+    try {
+        const sttProvider = getProvider();
+        if (typeof sttProvider.checkHealth === "function") {
+            await sttProvider.checkHealth({ timeoutMs });
+        }
+        return { ok: true, provider: sttProvider.name };
+    } catch (error) {
+        return {
+            ok: false,
+            provider: config.stt.provider,
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Check whether utterances can be transcribed while they are captured
+ * @returns {boolean} - Whether streaming is enabled and the provider supports it
+ */
+function supportsStreaming() {
+    return (
+        config.stt.streaming && typeof getProvider().createStream === "function"
+    );
+}
+
+/**
+ * Start recognizing an utterance while it is being captured
+ * @returns {RecognitionStream|null} - The recognition stream, or null if error
+ */
+function createRecognitionStream() {
+    try {
+        return new RecognitionStream(getProvider());
+    } catch (error) {
+        logger.error("Error starting streaming transcription:", error);
         return null;
     }
 }
 
 module.exports = {
     transcribeAudio,
+    supportsStreaming,
+    createRecognitionStream,
+    checkHealth,
+    registerProvider,
+    setProvider,
 };
@@ -0,0 +1,61 @@
+/**
+ * Speech-to-Text provider that runs a local command-line transcriber
+ */
+const util = require("util");
+const { execFile } = require("child_process");
+const config = require("../../utils/config");
+const { assertExecutable } = require("../../utils/executables");
+
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Create the command-line transcriber provider
+ * @returns {object} - STT provider
+ */
+function createCommandProvider() {
+    const { command, args, timeoutMs } = config.stt.command;
+
+    if (!command) {
+        throw new Error("STT_COMMAND must be set to use the command provider");
+    }
+
+    return {
+        name: "command",
+
+        // Most transcribers only accept complete audio files
+        audioFormat: { sampleRate: 16000, channels: 1, wavHeader: true },
+
+        /**
+         * Transcribe an audio file
+         * @param {string} audioFilePath - Path to the audio file
+         * @param {object} format - Format of the audio
+         * @returns {Promise<string>} - Transcription text (the command's stdout)
+         */
+        async transcribe(audioFilePath, format) {
+            // Placeholders in the arguments are filled in per call
+            const commandArgs = args.map((arg) =>
+                arg
+                    .replace("{file}", audioFilePath)
+                    .replace("{language}", config.stt.language)
+                    .replace("{rate}", format.sampleRate)
+                    .replace("{channels}", format.channels),
+            );
+
+            const { stdout } = await execFileAsync(command, commandArgs, {
+                timeout: timeoutMs,
+            });
+
+            return stdout.trim();
+        },
+
+        /**
+         * Check that the engine is installed
+         * @returns {Promise<void>} - Rejects if the engine is unavailable
+         */
+        async checkHealth() {
+            assertExecutable(command);
+        },
+    };
+}
+
+module.exports = { createCommandProvider };
@@ -0,0 +1,131 @@
+/**
+ * Speech-to-Text provider using Google Cloud Speech API
+ */
+const fs = require("fs");
+const { SpeechClient } = require("@google-cloud/speech");
+const config = require("../../utils/config");
+
+/**
+ * Build the recognition config for audio in the given format
+ * @param {object} format - Sample rate and channel count of the audio
+ * @returns {object} - Google recognition config
+ */
+function recognitionConfig(format) {
+    return {
+        ...config.google.speechToText,
+        // Google picks the best match among the primary and alternative languages
+        alternativeLanguageCodes: config.stt.languages.slice(1),
+        sampleRateHertz: format.sampleRate,
+        audioChannelCount: format.channels,
+    };
+}
+
+/**
+ * Create the Google Cloud Speech provider
+ * @param {object} [options] - Provider options
+ * @param {object} [options.speechClient] - Client to send requests with, a new
+ *   SpeechClient by default
+ * @returns {object} - STT provider
+ */
+function createGoogleProvider({ speechClient = new SpeechClient() } = {}) {
+    return {
+        name: "google",
+
+        // LINEAR16 audio; Google reads the rate from the request config
+        audioFormat: { sampleRate: 16000, channels: 1, wavHeader: false },
+
+        /**
+         * Transcribe a 16-bit PCM audio file
+         * @param {string} audioFilePath - Path to the audio file
+         * @param {object} format - Sample rate and channel count of the audio
+         * @returns {Promise<object>} - Transcription `text` and detected `language`
+         */
+        async transcribe(audioFilePath, format) {
+            // Read file and convert to base64
+            const audioBytes = fs
+                .readFileSync(audioFilePath)
+                .toString("base64");
+
+            // Send request to Google Cloud Speech API
+            const [response] = await speechClient.recognize({
+                audio: {
+                    content: audioBytes,
+                },
+                config: recognitionConfig(format),
+            });
+
+            return {
+                text: response.results
+                    .map((result) => result.alternatives[0].transcript)
+                    .join("\n"),
+                language: response.results.length
+                    ? response.results[0].languageCode
+                    : null,
+            };
+        },
+
+        /**
+         * Start a streaming recognition for audio that is still being captured
+         * @param {object} format - Sample rate and channel count of the audio
+         * @param {object} options - Stream options
+         * @param {Function} options.onInterim - Called with the partial transcript
+         * @returns {object} - Stream with `write(pcm)`, `end()` and `abort()`
+         */
+        createStream(format, { onInterim }) {
+            const recognizeStream = speechClient.streamingRecognize({
+                config: recognitionConfig(format),
+                interimResults: true,
+            });
+
+            // Finalized parts of the transcript, in order
+            const finalParts = [];
+            let language = null;
+
+            const result = new Promise((resolve, reject) => {
+                recognizeStream.on("data", (data) => {
+                    for (const {
+                        alternatives,
+                        isFinal,
+                        languageCode,
+                    } of data.results) {
+                        const transcript = alternatives[0]
+                            ? alternatives[0].transcript
+                            : "";
+                        if (isFinal) {
+                            finalParts.push(transcript);
+                            language = languageCode || language;
+                        } else {
+                            onInterim([...finalParts, transcript].join(" "));
+                        }
+                    }
+                });
+                recognizeStream.on("error", reject);
+                recognizeStream.on("end", () =>
+                    resolve({ text: finalParts.join(" ").trim(), language }),
+                );
+            });
+
+            // Errors are reported to whoever waits for the result
+            result.catch(() => {});
+
+            return {
+                write: (pcm) => recognizeStream.write(pcm),
+                end: () => {
+                    recognizeStream.end();
+                    return result;
+                },
+                abort: () => recognizeStream.destroy(),
+            };
+        },
+
+        /**
+         * Check that Google credentials are available
+         * @returns {Promise<void>} - Rejects if the client cannot authenticate
+         */
+        async checkHealth() {
+            await speechClient.getProjectId();
+        },
+    };
+}
+
+module.exports = { createGoogleProvider };
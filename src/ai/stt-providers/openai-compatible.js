@@ -0,0 +1,82 @@
+/**
+ * Speech-to-Text provider for OpenAI-compatible transcription endpoints
+ * (e.g. a local whisper.cpp server)
+ */
+const fs = require("fs");
+const axios = require("axios");
+const config = require("../../utils/config");
+const { pcmToWav } = require("../../audio/pcm");
+
+/**
+ * Create the OpenAI-compatible transcription provider
+ * @returns {object} - STT provider
+ */
+function createOpenAICompatibleProvider() {
+    const { apiUrl, apiKey, model } = config.stt.openai;
+
+    return {
+        name: "openai",
+
+        // These endpoints expect a complete audio file, not raw PCM
+        audioFormat: { sampleRate: 16000, channels: 1, wavHeader: true },
+
+        /**
+         * Transcribe an audio file
+         * @param {string} audioFilePath - Path to the audio file
+         * @param {object} format - Format of the audio
+         * @returns {Promise<object>} - Transcription `text` and detected `language`
+         */
+        async transcribe(audioFilePath, format) {
+            const audio = fs.readFileSync(audioFilePath);
+            const wav = format.wavHeader ? audio : pcmToWav(audio, format);
+
+            const form = new FormData();
+            form.append(
+                "file",
+                new Blob([wav], { type: "audio/wav" }),
+                "audio.wav",
+            );
+            form.append("model", model);
+
+            // With several candidate languages, let the model detect it
+            const detectLanguage = config.stt.languages.length > 1;
+            if (detectLanguage) {
+                form.append("response_format", "verbose_json");
+            } else {
+                form.append("language", config.stt.language);
+                form.append("response_format", "json");
+            }
+
+            const response = await axios.post(
+                `${apiUrl}/v1/audio/transcriptions`,
+                form,
+                {
+                    headers: apiKey
+                        ? { Authorization: `Bearer ${apiKey}` }
+                        : {},
+                },
+            );
+
+            return {
+                text: response.data.text || "",
+                language: detectLanguage ? response.data.language : null,
+            };
+        },
+
+        /**
+         * Check that the backend can be reached
+         * @param {object} options - Check options
+         * @param {number} options.timeoutMs - How long to wait for the backend
+         * @returns {Promise<void>} - Rejects if the backend is unavailable
+         */
+        async checkHealth({ timeoutMs }) {
+            // Any HTTP response means the server is up; not every server lists models
+            await axios.get(apiUrl, {
+                timeout: timeoutMs,
+                validateStatus: () => true,
+            });
+        },
+    };
+}
+
+module.exports = { createOpenAICompatibleProvider };
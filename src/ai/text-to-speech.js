@@ -1,27 +1,156 @@
 /**
- * Text-to-Speech module using Google Cloud TTS API with SSML support
+ * Text-to-Speech module with pluggable synthesis backends and SSML support
  */
-const fs = require("fs");
-const util = require("util");
-const textToSpeech = require("@google-cloud/text-to-speech");
 const { createLogger } = require("../utils/logger");
 const config = require("../utils/config");
 const tempFileManager = require("../utils/temp-file-manager");
+const metrics = require("../utils/metrics");
+const { findLanguage } = require("../utils/languages");
+const { createGoogleProvider } = require("./tts-providers/google");
+const { createPiperProvider } = require("./tts-providers/piper");
+const { createEspeakProvider } = require("./tts-providers/espeak");
 
 const logger = createLogger("TextToSpeech");
-const ttsClient = new textToSpeech.TextToSpeechClient();
-const writeFile = util.promisify(fs.writeFile);
+
+// Factories for the available TTS providers, keyed by name
+const providerFactories = new Map([
+    ["google", createGoogleProvider],
+    ["piper", createPiperProvider],
+    ["espeak", createEspeakProvider],
+]);
+
+// The provider in use, created on first use
+let provider = null;
+
+// Voices the provider can't use that were already warned about
+const unfitVoices = new Set();
 
 /**
- * Convert plain text to SSML format
- * @param {string} text - Plain text to convert to SSML
- * @returns {string} - Formatted SSML
+ * Register the factory of a TTS provider, replacing the built-in one of that
+ * name; TTS_PROVIDER only accepts the built-in names, so a provider of your
+ * own is installed with setProvider()
+ * @param {string} name - Provider name
+ * @param {Function} factory - Returns an object with `supportsSSML`, `outputFormat`
+ *   and a `synthesize(input, outputFilePath, { voice, rate, pitch })` method, plus
+ *   `checkHealth({ timeoutMs })` to report whether the backend is available and
+ *   `acceptsVoice(voice)` to tell the voices of other backends apart
  */
-function textToSSML(text) {
-    if (!text || text.trim() === "") {
-        return "";
+function registerProvider(name, factory) {
+    providerFactories.set(name, factory);
+}
+
+/**
+ * Use a provider instead of creating the configured one, e.g. a stub in tests
+ * @param {object|null} ttsProvider - TTS provider, or null to create the
+ *   configured one again on next use
+ */
+function setProvider(ttsProvider) {
+    provider = ttsProvider;
+}
+
+/**
+ * Get the configured TTS provider, creating it if needed
+ * @returns {object} - TTS provider
+ */
+function getProvider() {
+    if (!provider) {
+        const factory = providerFactories.get(config.tts.provider);
+        if (!factory) {
+            throw new Error(`Unknown TTS provider: ${config.tts.provider}`);
+        }
+
+        provider = factory();
+        logger.info(`Using TTS provider: ${provider.name}`);
+    }
+    return provider;
+}
+
+/**
+ * Check that the configured TTS backend is available
+ * @param {number} timeoutMs - How long to wait for the backend
+ * @returns {Promise<object>} - `ok`, the `provider` name and the `error` if not ok
+ */
+async function checkHealth(timeoutMs) {
+    try {
+        const ttsProvider = getProvider();
+        if (typeof ttsProvider.checkHealth === "function") {
+            await ttsProvider.checkHealth({ timeoutMs });
+        }
+        return { ok: true, provider: ttsProvider.name };
+    } catch (error) {
+        return {
+            ok: false,
+            provider: config.tts.provider,
+            error: error.message,
+        };
     }
+}
 
+/**
+ * Get the configured voice of the current TTS provider
+ * @param {object} [settings] - Configuration to read, e.g. a guild's
+ * @returns {string} - Voice name (a model path for Piper)
+ */
+function getDefaultVoice(settings = config) {
+    switch (settings.tts.provider) {
+        case "piper":
+            return settings.tts.piper.model;
+        case "espeak":
+            return settings.tts.espeak.voice;
+        default:
+            return settings.google.textToSpeech.voiceName;
+    }
+}
+
+/**
+ * Check that the current TTS provider can use a voice. Voices of other
+ * providers, e.g. a Google voice name with Piper, are warned about once.
+ * @param {string} voice - Voice name
+ * @returns {boolean} - Whether the voice can be used
+ */
+function checkVoice(voice) {
+    let ttsProvider;
+    try {
+        ttsProvider = getProvider();
+    } catch (error) {
+        // Synthesis reports the provider error
+        return true;
+    }
+
+    if (
+        typeof ttsProvider.acceptsVoice !== "function" ||
+        ttsProvider.acceptsVoice(voice)
+    ) {
+        return true;
+    }
+
+    if (!unfitVoices.has(voice)) {
+        unfitVoices.add(voice);
+        logger.warn(
+            `Voice ${voice} can't be used with the ${ttsProvider.name} TTS provider, ignoring it`,
+        );
+    }
+    return false;
+}
+
+/**
+ * Get the voice configured for a reply language in TTS_VOICES
+ * @param {string} language - Language code or English name
+ * @returns {string|null} - Voice name, or null if none is configured or
+ *   the current provider can't use it
+ */
+function getVoiceForLanguage(language) {
+    const match = findLanguage(language, Object.keys(config.tts.voices));
+    if (!match || !checkVoice(config.tts.voices[match])) return null;
+    return config.tts.voices[match];
+}
+
+/**
+ * Clean text so it reads well when spoken
+ * @param {string} text - Plain text to clean
+ * @returns {string} - Cleaned text
+ */
+function cleanTextForSpeech(text) {
     // Step 1: Remove or replace emojis with descriptive text
     // This regex matches most emoji characters
     text = text.replace(
@@ -46,6 +175,21 @@ function textToSSML(text) {
         .replace(/</g, "less than")
         .replace(/>/g, "greater than");
 
+    return text;
+}
+
+/**
+ * Convert plain text to SSML format
+ * @param {string} text - Plain text to convert to SSML
+ * @returns {string} - Formatted SSML
+ */
+function textToSSML(text) {
+    if (!text || text.trim() === "") {
+        return "";
+    }
+
+    text = cleanTextForSpeech(text);
+
     // Step 4: Add pauses for better speech rhythm at punctuation
     text = text
         .replace(/\.\s+/g, '. <break time="500ms"/> ')
@@ -60,9 +204,16 @@ function textToSSML(text) {
 /**
  * Generate speech from text
  * @param {string} text - The text to convert to speech
+ * @param {object} [options] - Synthesis options
+ * @param {string} [options.voice] - Voice to use instead of the configured one,
+ *   ignored if the provider can't use it
+ * @param {number} [options.rate] - Speaking rate to use instead of the configured one
+ * @param {number} [options.pitch] - Pitch to use instead of the configured one
  * @returns {Promise<string|null>} - Path to the audio file or null if error
  */
-async function generateSpeech(text) {
+async function generateSpeech(text, { voice, rate, pitch } = {}) {
+    let outputFilePath = null;
+
     try {
         if (!text || text.trim() === "") {
             logger.warn("Empty text provided for speech generation");
@@ -71,48 +222,60 @@ async function generateSpeech(text) {
 
         logger.debug(`Generating speech for text: ${text}`);
 
-        // Convert to SSML
-        const ssml = textToSSML(text);
-        logger.debug(`SSML generated: ${ssml}`);
-
-        // Create request for Google Cloud TTS with SSML
-        const request = {
-            input: { ssml },
-            voice: {
-                languageCode: config.google.speechToText.languageCode,
-                name: config.google.textToSpeech.voiceName,
-            },
-            audioConfig: {
-                audioEncoding: "MP3",
-                speakingRate: config.google.textToSpeech.speakingRate,
-                pitch: config.google.textToSpeech.pitch,
-            },
-        };
+        const ttsProvider = getProvider();
 
-        // Call Google Cloud TTS API
-        const [response] = await ttsClient.synthesizeSpeech(request);
+        // Only use SSML with providers that understand it
+        let input;
+        if (ttsProvider.supportsSSML) {
+            const ssml = textToSSML(text);
+            logger.debug(`SSML generated: ${ssml}`);
+            input = { ssml };
+        } else {
+            input = { text: cleanTextForSpeech(text) };
+        }
 
-        // Create output file path
-        const outputFilePath = tempFileManager.createTempFilePath(
+        // Create output file path and register it for cleanup
+        outputFilePath = tempFileManager.createTempFilePath(
             "tts-output",
-            "mp3",
+            ttsProvider.outputFormat,
         );
-
-        // Write audio content to file
-        await writeFile(outputFilePath, response.audioContent, "binary");
-
-        // Register the file for cleanup
         tempFileManager.registerTempFile(outputFilePath);
 
+        const stopTimer = metrics.ttsSeconds.startTimer({
+            provider: ttsProvider.name,
+        });
+        await ttsProvider.synthesize(input, outputFilePath, {
+            voice: voice && checkVoice(voice) ? voice : getDefaultVoice(),
+            // Google-style rate (1.0 is normal) and pitch (-20 to 20 semitones)
+            rate:
+                rate === undefined
+                    ? config.google.textToSpeech.speakingRate
+                    : rate,
+            pitch:
+                pitch === undefined ? config.google.textToSpeech.pitch : pitch,
+        });
+        stopTimer();
+
         logger.debug(`Speech generated successfully: ${outputFilePath}`);
         return outputFilePath;
     } catch (error) {
         logger.error("Error generating speech:", error);
+        metrics.backendFailures.inc({
+            backend: "tts",
+            provider: config.tts.provider,
+        });
+        if (outputFilePath) tempFileManager.deleteTempFile(outputFilePath);
         return null;
     }
 }
 
 module.exports = {
     generateSpeech,
+    checkHealth,
+    registerProvider,
+    setProvider,
+    getDefaultVoice,
+    getVoiceForLanguage,
+    checkVoice,
     textToSSML, // Export for testing
 };
@@ -0,0 +1,101 @@
+/**
+ * Tools the LLM can call while replying (function calling)
+ */
+const { createLogger } = require("../utils/logger");
+const config = require("../utils/config");
+const { currentTimeTool } = require("./builtin-tools/time");
+const { rollDiceTool } = require("./builtin-tools/dice");
+const { setTimerTool } = require("./builtin-tools/timer");
+const { channelMembersTool } = require("./builtin-tools/channel-members");
+const { searchNotesTool } = require("./builtin-tools/notes");
+
+const logger = createLogger("Tools");
+
+// The available tools, keyed by name
+const registeredTools = new Map(
+    [
+        currentTimeTool,
+        rollDiceTool,
+        setTimerTool,
+        channelMembersTool,
+        searchNotesTool,
+    ].map((tool) => [tool.name, tool]),
+);
+
+/**
+ * Register a tool the LLM can call, replacing any tool with the same name
+ * @param {object} tool - The tool
+ * @param {string} tool.name - Name the model calls it by
+ * @param {string} tool.description - What the tool does, for the model
+ * @param {object} tool.parameters - JSON schema of the arguments
+ * @param {Function} tool.execute - Called with the arguments and the tool context
+ *   (`{ session }`), returns or resolves to the result as a string or JSON value
+ */
+function registerTool(tool) {
+    registeredTools.set(tool.name, tool);
+}
+
+/**
+ * Get the tools offered to the model: all registered tools, or the ones named in TOOLS
+ * @returns {object[]} - The enabled tools
+ */
+function getEnabledTools() {
+    const { names } = config.tools;
+    const tools = [...registeredTools.values()];
+
+    return names.length > 0
+        ? tools.filter((tool) => names.includes(tool.name))
+        : tools;
+}
+
+/**
+ * Get the definitions of the enabled tools in the format Ollama and
+ * OpenAI-compatible APIs share
+ * @returns {object[]} - Tool definitions
+ */
+function getToolDefinitions() {
+    return getEnabledTools().map((tool) => ({
+        type: "function",
+        function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters,
+        },
+    }));
+}
+
+/**
+ * Run a tool the model called
+ * @param {object} call - The tool call, with `name` and `arguments`
+ * @param {object} [context] - Tool context, e.g. `{ session }` for the voice session
+ * @returns {Promise<string>} - The result to send back to the model
+ */
+async function runTool(call, context = {}) {
+    const tool = getEnabledTools().find(
+        (enabled) => enabled.name === call.name,
+    );
+    if (!tool) {
+        logger.warn(`Model called an unknown tool: ${call.name}`);
+        return `Error: there is no tool called ${call.name}`;
+    }
+
+    logger.info(`Calling tool ${call.name}: ${JSON.stringify(call.arguments)}`);
+
+    try {
+        const result = await tool.execute(call.arguments, context);
+        const text =
+            typeof result === "string" ? result : JSON.stringify(result);
+
+        logger.debug(`Tool ${call.name} returned: ${text}`);
+        return text;
+    } catch (error) {
+        logger.error(`Error running tool ${call.name}:`, error);
+        return `Error: ${error.message}`;
+    }
+}
+
+module.exports = {
+    registerTool,
+    getToolDefinitions,
+    runTool,
+};
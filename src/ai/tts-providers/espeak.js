@@ -0,0 +1,85 @@
+/**
+ * Text-to-Speech provider using the espeak-ng command-line engine
+ */
+const util = require("util");
+const { execFile } = require("child_process");
+const config = require("../../utils/config");
+const { assertExecutable } = require("../../utils/executables");
+
+const execFileAsync = util.promisify(execFile);
+
+// espeak-ng defaults: 175 words per minute, pitch 50 on a 0-99 scale
+const BASE_WORDS_PER_MINUTE = 175;
+const BASE_PITCH = 50;
+
+/**
+ * Create the espeak-ng TTS provider
+ * @returns {object} - TTS provider
+ */
+function createEspeakProvider() {
+    const { command, timeoutMs } = config.tts.espeak;
+
+    return {
+        name: "espeak",
+        supportsSSML: false,
+        outputFormat: "wav",
+
+        /**
+         * Synthesize speech into an audio file
+         * @param {object} input - `{ text }` to speak
+         * @param {string} outputFilePath - Where to write the audio
+         * @param {object} options - Synthesis options
+         * @param {string} options.voice - espeak-ng voice name
+         * @param {number} options.rate - Speaking rate, 1.0 is normal speed
+         * @param {number} options.pitch - Pitch change in semitones (-20 to 20)
+         * @returns {Promise<void>}
+         */
+        async synthesize({ text }, outputFilePath, { voice, rate, pitch }) {
+            // Map the Google-style rate and pitch (-20 to 20 semitones) onto espeak's scales
+            const wordsPerMinute = Math.round(BASE_WORDS_PER_MINUTE * rate);
+            const espeakPitch = Math.min(
+                99,
+                Math.max(0, Math.round(BASE_PITCH + pitch * 2.5)),
+            );
+
+            await execFileAsync(
+                command,
+                [
+                    "-v",
+                    voice,
+                    "-s",
+                    String(wordsPerMinute),
+                    "-p",
+                    String(espeakPitch),
+                    "-w",
+                    outputFilePath,
+                    "--",
+                    text,
+                ],
+                { timeout: timeoutMs },
+            );
+        },
+
+        /**
+         * Check whether a voice can be an espeak-ng voice name, rather than
+         * a Google voice name or a Piper model path
+         * @param {string} voice - Voice name
+         * @returns {boolean} - Whether the voice can be used
+         */
+        acceptsVoice(voice) {
+            return (
+                /^[\w+-]+$/.test(voice) && !/^[a-z]{2,3}-[A-Z]{2}-/.test(voice)
+            );
+        },
+
+        /**
+         * Check that the engine is installed
+         * @returns {Promise<void>} - Rejects if the engine is unavailable
+         */
+        async checkHealth() {
+            assertExecutable(command);
+        },
+    };
+}
+
+module.exports = { createEspeakProvider };
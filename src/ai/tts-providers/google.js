@@ -0,0 +1,80 @@
+/**
+ * Text-to-Speech provider using Google Cloud TTS API
+ */
+const fs = require("fs");
+const util = require("util");
+const textToSpeech = require("@google-cloud/text-to-speech");
+const config = require("../../utils/config");
+
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * Create the Google Cloud TTS provider
+ * @param {object} [options] - Provider options
+ * @param {object} [options.ttsClient] - Client to send requests with, a new
+ *   TextToSpeechClient by default
+ * @returns {object} - TTS provider
+ */
+function createGoogleProvider({
+    ttsClient = new textToSpeech.TextToSpeechClient(),
+} = {}) {
+    return {
+        name: "google",
+        supportsSSML: true,
+        outputFormat: "mp3",
+
+        /**
+         * Synthesize speech into an audio file
+         * @param {object} input - Either `{ ssml }` or `{ text }`
+         * @param {string} outputFilePath - Where to write the audio
+         * @param {object} options - Synthesis options
+         * @param {string} options.voice - Voice name
+         * @param {number} options.rate - Speaking rate, 1.0 is normal speed
+         * @param {number} options.pitch - Pitch change in semitones (-20 to 20)
+         * @returns {Promise<void>}
+         */
+        async synthesize(input, outputFilePath, { voice, rate, pitch }) {
+            const [response] = await ttsClient.synthesizeSpeech({
+                input,
+                voice: {
+                    // Voice names start with their language, e.g. "es-ES-Standard-A"
+                    languageCode: (voice.match(/^[a-z]{2,3}-[A-Z]{2}/) || [
+                        config.google.speechToText.languageCode,
+                    ])[0],
+                    name: voice,
+                },
+                audioConfig: {
+                    audioEncoding: "MP3",
+                    speakingRate: rate,
+                    pitch,
+                },
+            });
+
+            await writeFile(outputFilePath, response.audioContent, "binary");
+        },
+
+        /**
+         * Check whether a voice is a Google voice name
+         * @param {string} voice - Voice name
+         * @returns {boolean} - Whether the voice can be used
+         */
+        acceptsVoice(voice) {
+            return /^[a-z]{2,3}-[A-Z]{2}-\S/.test(voice);
+        },
+
+        /**
+         * Check that the backend can be reached
+         * @param {object} options - Check options
+         * @param {number} options.timeoutMs - How long to wait for the backend
+         * @returns {Promise<void>} - Rejects if the backend is unavailable
+         */
+        async checkHealth({ timeoutMs }) {
+            await ttsClient.listVoices(
+                { languageCode: config.google.speechToText.languageCode },
+                { timeout: timeoutMs },
+            );
+        },
+    };
+}
+
+module.exports = { createGoogleProvider };
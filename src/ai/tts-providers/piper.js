@@ -0,0 +1,88 @@
+/**
+ * Text-to-Speech provider running a local Piper-style engine as a subprocess
+ */
+const fs = require("fs");
+const { execFile } = require("child_process");
+const config = require("../../utils/config");
+const { assertExecutable } = require("../../utils/executables");
+
+/**
+ * Create the Piper TTS provider
+ * @returns {object} - TTS provider
+ */
+function createPiperProvider() {
+    const { command, speaker, timeoutMs } = config.tts.piper;
+
+    if (!config.tts.piper.model) {
+        throw new Error("PIPER_MODEL must be set to use the piper provider");
+    }
+
+    return {
+        name: "piper",
+        supportsSSML: false,
+        outputFormat: "wav",
+
+        /**
+         * Synthesize speech into an audio file
+         * @param {object} input - `{ text }` to speak
+         * @param {string} outputFilePath - Where to write the audio
+         * @param {object} options - Synthesis options
+         * @param {string} options.voice - Path to the Piper voice model
+         * @param {number} options.rate - Speaking rate, 1.0 is normal speed
+         * @returns {Promise<void>}
+         */
+        synthesize({ text }, outputFilePath, { voice, rate }) {
+            // Piper controls speed with the phoneme length, the inverse of the rate
+            const lengthScale = 1 / rate;
+            const args = [
+                "--model",
+                voice,
+                "--output_file",
+                outputFilePath,
+                "--length_scale",
+                lengthScale.toFixed(2),
+            ];
+            if (speaker) {
+                args.push("--speaker", speaker);
+            }
+
+            return new Promise((resolve, reject) => {
+                const child = execFile(
+                    command,
+                    args,
+                    { timeout: timeoutMs },
+                    (error) => (error ? reject(error) : resolve()),
+                );
+
+                // Piper reads the text to speak from stdin. Writing fails with
+                // EPIPE if it exits first, e.g. on a bad model path.
+                child.stdin.on("error", reject);
+                child.stdin.end(text);
+            });
+        },
+
+        /**
+         * Check whether a voice is a Piper voice model on disk
+         * @param {string} voice - Path to the voice model
+         * @returns {boolean} - Whether the voice can be used
+         */
+        acceptsVoice(voice) {
+            return fs.existsSync(voice);
+        },
+
+        /**
+         * Check that the engine is installed
+         * @returns {Promise<void>} - Rejects if the engine is unavailable
+         */
+        async checkHealth() {
+            assertExecutable(command);
+            if (!fs.existsSync(config.tts.piper.model)) {
+                throw new Error(
+                    `Voice model not found: ${config.tts.piper.model}`,
+                );
+            }
+        },
+    };
+}
+
+module.exports = { createPiperProvider };
@@ -0,0 +1,121 @@
+/**
+ * Helpers for the raw PCM audio captured from Discord
+ */
+
+// Format of the decoded Opus audio received from Discord
+const CAPTURE_FORMAT = {
+    sampleRate: 48000,
+    channels: 2,
+    bitDepth: 16,
+};
+
+/**
+ * Get the number of bytes per millisecond of PCM audio
+ * @param {object} format - PCM format
+ * @returns {number} - Bytes per millisecond
+ */
+function bytesPerMs({ sampleRate, channels, bitDepth }) {
+    return (sampleRate * channels * (bitDepth / 8)) / 1000;
+}
+
+/**
+ * Create a 44-byte WAV (RIFF) header for PCM data
+ * @param {number} dataLength - Length of the PCM data in bytes
+ * @param {object} format - PCM format
+ * @returns {Buffer} - The WAV header
+ */
+function createWavHeader(dataLength, { sampleRate, channels, bitDepth }) {
+    const blockAlign = channels * (bitDepth / 8);
+    const header = Buffer.alloc(44);
+
+    header.write("RIFF", 0);
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write("WAVE", 8);
+    header.write("fmt ", 12);
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitDepth, 34);
+    header.write("data", 36);
+    header.writeUInt32LE(dataLength, 40);
+
+    return header;
+}
+
+/**
+ * Wrap raw PCM data in a WAV container
+ * @param {Buffer} pcm - Raw PCM data
+ * @param {object} [format] - PCM format, defaults to the capture format
+ * @returns {Buffer} - WAV file contents
+ */
+function pcmToWav(pcm, format = CAPTURE_FORMAT) {
+    return Buffer.concat([createWavHeader(pcm.length, format), pcm]);
+}
+
+/**
+ * Downmix and resample 16-bit PCM. The channels are mixed down to mono first
+ * and copied to every output channel.
+ * @param {Buffer} pcm - Raw PCM data
+ * @param {object} from - Format of the input
+ * @param {object} to - Format to convert to
+ * @returns {Buffer} - The converted PCM data
+ */
+function convertPcm(pcm, from, to) {
+    if (from.sampleRate === to.sampleRate && from.channels === to.channels) {
+        return pcm;
+    }
+
+    // Mix the channels down to mono
+    const frameCount = Math.floor(pcm.length / (from.channels * 2));
+    const mono = new Float32Array(frameCount);
+    for (let i = 0; i < frameCount; i++) {
+        let sum = 0;
+        for (let channel = 0; channel < from.channels; channel++) {
+            sum += pcm.readInt16LE((i * from.channels + channel) * 2);
+        }
+        mono[i] = sum / from.channels;
+    }
+
+    const ratio = from.sampleRate / to.sampleRate;
+    const outputCount = Math.floor(frameCount / ratio);
+    const output = Buffer.alloc(outputCount * to.channels * 2);
+
+    for (let i = 0; i < outputCount; i++) {
+        let sample;
+
+        if (ratio >= 1) {
+            // Average the input samples covered by this output sample, which
+            // also filters out frequencies the lower rate can't represent
+            const start = Math.floor(i * ratio);
+            const end = Math.min(frameCount, Math.floor((i + 1) * ratio));
+            let sum = 0;
+            for (let j = start; j < end; j++) sum += mono[j];
+            sample = sum / Math.max(1, end - start);
+        } else {
+            // Interpolate between the two nearest input samples
+            const position = i * ratio;
+            const index = Math.floor(position);
+            const next = Math.min(frameCount - 1, index + 1);
+            const fraction = position - index;
+            sample = mono[index] * (1 - fraction) + mono[next] * fraction;
+        }
+
+        const value = Math.max(-32768, Math.min(32767, Math.round(sample)));
+        for (let channel = 0; channel < to.channels; channel++) {
+            output.writeInt16LE(value, (i * to.channels + channel) * 2);
+        }
+    }
+
+    return output;
+}
+
+module.exports = {
+    CAPTURE_FORMAT,
+    bytesPerMs,
+    createWavHeader,
+    pcmToWav,
+    convertPcm,
+};
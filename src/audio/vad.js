@@ -0,0 +1,216 @@
+/**
+ * Energy-based voice activity detection on decoded PCM: trims silence,
+ * drops clips without enough speech and splits long monologues
+ */
+const config = require("../utils/config");
+const { CAPTURE_FORMAT, bytesPerMs } = require("./pcm");
+
+// Length of the frames the audio is analyzed in
+const FRAME_MS = 20;
+
+// Bytes in one analysis frame of captured audio
+const FRAME_BYTES = FRAME_MS * bytesPerMs(CAPTURE_FORMAT);
+
+// Bytes in one sample of all channels
+const BLOCK_BYTES = CAPTURE_FORMAT.channels * (CAPTURE_FORMAT.bitDepth / 8);
+
+/**
+ * Measure the loudness and noisiness of a frame of captured audio
+ * @param {Buffer} frame - 16-bit little-endian PCM in the capture format
+ * @returns {object} - RMS level (0-1) and zero-crossing rate (0-1) of the mono mix
+ */
+function analyzeFrame(frame) {
+    const sampleCount = Math.floor(frame.length / BLOCK_BYTES);
+    if (sampleCount === 0) return { rms: 0, zeroCrossingRate: 0 };
+
+    let sumOfSquares = 0;
+    let zeroCrossings = 0;
+    let previous = 0;
+
+    for (let i = 0; i < sampleCount; i++) {
+        // Mix the channels down to mono
+        let sample = 0;
+        for (let channel = 0; channel < CAPTURE_FORMAT.channels; channel++) {
+            sample += frame.readInt16LE(i * BLOCK_BYTES + channel * 2);
+        }
+        sample /= CAPTURE_FORMAT.channels;
+
+        sumOfSquares += sample * sample;
+        if (i > 0 && sample >= 0 !== previous >= 0) zeroCrossings++;
+        previous = sample;
+    }
+
+    return {
+        rms: Math.sqrt(sumOfSquares / sampleCount) / 32768,
+        zeroCrossingRate: zeroCrossings / sampleCount,
+    };
+}
+
+/**
+ * Check whether a frame sounds like speech: loud enough, and not hiss-like
+ * noise such as breathing
+ * @param {Buffer} frame - PCM frame
+ * @param {object} [options] - VAD settings, defaults to the configured ones
+ * @returns {boolean} - Whether the frame contains speech
+ */
+function isSpeechFrame(frame, options = config.vad) {
+    const { rms, zeroCrossingRate } = analyzeFrame(frame);
+    return (
+        rms >= options.energyThreshold &&
+        zeroCrossingRate <= options.maxZeroCrossingRate
+    );
+}
+
+/**
+ * Check a finished utterance and trim the silence around the speech
+ * @param {Buffer} pcm - The utterance as captured PCM
+ * @param {object} [options] - VAD settings, defaults to the configured ones
+ * @returns {object} - `pcm` holds the trimmed audio, or null with a `reason`
+ * when the clip should not be transcribed
+ */
+function analyzeUtterance(pcm, options = config.vad) {
+    const frameCount = Math.ceil(pcm.length / FRAME_BYTES);
+    const frameAt = (index) =>
+        pcm.subarray(index * FRAME_BYTES, (index + 1) * FRAME_BYTES);
+
+    let firstSpeech = -1;
+    let lastSpeech = -1;
+    let speechFrames = 0;
+
+    for (let i = 0; i < frameCount; i++) {
+        if (!isSpeechFrame(frameAt(i), options)) continue;
+
+        if (firstSpeech === -1) firstSpeech = i;
+        lastSpeech = i;
+        speechFrames++;
+    }
+
+    const speechMs = speechFrames * FRAME_MS;
+
+    if (speechFrames === 0) {
+        return { pcm: null, speechMs, reason: "no speech" };
+    }
+
+    // Clicks, breaths and keyboard noise only have a few loud frames
+    if (speechMs < options.minSpeechMs) {
+        return { pcm: null, speechMs, reason: `only ${speechMs}ms of speech` };
+    }
+
+    // Keep a little silence around the speech so words aren't clipped
+    const paddingFrames = Math.round(options.paddingMs / FRAME_MS);
+    const start = Math.max(0, firstSpeech - paddingFrames);
+    const end = Math.min(frameCount, lastSpeech + 1 + paddingFrames);
+    const durationMs = (end - start) * FRAME_MS;
+
+    if (durationMs < options.minUtteranceMs) {
+        return { pcm: null, speechMs, reason: `only ${durationMs}ms long` };
+    }
+
+    return {
+        pcm: pcm.subarray(start * FRAME_BYTES, end * FRAME_BYTES),
+        speechMs,
+        reason: null,
+    };
+}
+
+/**
+ * Collects the decoded audio of one speaker and cuts it into utterances.
+ * Long monologues are split at the next pause once they pass `splitAfterMs`,
+ * and cut hard at `maxUtteranceMs`.
+ */
+class UtteranceSegmenter {
+    /**
+     * @param {Function} onSegment - Called with the PCM of each finished segment
+     * @param {object} [options] - VAD settings, defaults to the configured ones
+     */
+    constructor(onSegment, options = config.vad) {
+        this.onSegment = onSegment;
+        this.options = options;
+
+        // Optional hook called with each frame of the current segment and
+        // whether it contains speech, e.g. to feed a streaming recognizer
+        this.onFrame = null;
+        this.frames = [];
+        this.remainder = Buffer.alloc(0);
+
+        // Length of the current run of non-speech frames
+        this.pauseMs = 0;
+
+        // Total speech heard so far, across segments
+        this.speechMs = 0;
+    }
+
+    /**
+     * Add decoded audio
+     * @param {Buffer} chunk - PCM in the capture format
+     */
+    push(chunk) {
+        let buffer = Buffer.concat([this.remainder, chunk]);
+
+        while (buffer.length >= FRAME_BYTES) {
+            this.addFrame(buffer.subarray(0, FRAME_BYTES));
+            buffer = buffer.subarray(FRAME_BYTES);
+        }
+
+        this.remainder = buffer;
+    }
+
+    /**
+     * Add one analysis frame and cut the segment if it has grown too long
+     * @param {Buffer} frame - PCM frame
+     */
+    addFrame(frame) {
+        this.frames.push(frame);
+
+        const isSpeech = isSpeechFrame(frame, this.options);
+        if (isSpeech) {
+            this.speechMs += FRAME_MS;
+            this.pauseMs = 0;
+        } else {
+            this.pauseMs += FRAME_MS;
+        }
+
+        if (this.onFrame) this.onFrame(frame, isSpeech);
+
+        const durationMs = this.frames.length * FRAME_MS;
+        const { splitAfterMs, splitPauseMs, maxUtteranceMs } = this.options;
+
+        if (
+            (durationMs >= splitAfterMs && this.pauseMs >= splitPauseMs) ||
+            durationMs >= maxUtteranceMs
+        ) {
+            this.emitSegment();
+        }
+    }
+
+    /**
+     * Hand the collected frames to the callback and start a new segment
+     */
+    emitSegment() {
+        if (this.frames.length === 0) return;
+
+        const pcm = Buffer.concat(this.frames);
+        this.frames = [];
+        this.pauseMs = 0;
+        this.onSegment(pcm);
+    }
+
+    /**
+     * Finish the last segment once the speaker has stopped
+     */
+    end() {
+        if (this.remainder.length > 0) {
+            this.frames.push(this.remainder);
+            this.remainder = Buffer.alloc(0);
+        }
+        this.emitSegment();
+    }
+}
+
+module.exports = {
+    FRAME_MS,
+    analyzeFrame,
+    isSpeechFrame,
+    analyzeUtterance,
+    UtteranceSegmenter,
+};
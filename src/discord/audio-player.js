@@ -11,100 +11,216 @@ const {
 const { createLogger } = require("../utils/logger");
 const config = require("../utils/config");
 const tempFileManager = require("../utils/temp-file-manager");
+const metrics = require("../utils/metrics");
 
 const logger = createLogger("DiscordAudioPlayer");
 
-// Create a single audio player for the bot
-const player = createAudioPlayer({
-    behaviors: {
-        noSubscriber: NoSubscriberBehavior.Pause,
-    },
-});
-
-// Track if the bot is currently speaking
-let isSpeaking = false;
-
-// Set up event listeners
-player.on(AudioPlayerStatus.Playing, () => {
-    logger.debug("Audio player is playing");
-    isSpeaking = true;
-});
-
-player.on(AudioPlayerStatus.Idle, () => {
-    logger.debug("Audio player is idle");
-    isSpeaking = false;
-});
-
-player.on("error", (error) => {
-    logger.error("Error in audio player:", error);
-    isSpeaking = false;
-});
-
 /**
- * Play an audio file in the voice channel
- * @param {string} audioFilePath - Path to the audio file to play
- * @param {object} connection - Discord voice connection
- * @returns {Promise<boolean>} - Whether the playback was successful
+ * Audio player for one voice session
  */
-async function playAudio(audioFilePath, connection) {
-    return new Promise((resolve) => {
-        try {
-            logger.debug(`Playing audio file: ${audioFilePath}`);
-
-            // Check if file exists
-            if (!fs.existsSync(audioFilePath)) {
-                logger.error(`Audio file not found: ${audioFilePath}`);
+class AudioPlayback {
+    /**
+     * @param {object} [options] - Playback options
+     * @param {object} [options.player] - Discord audio player, a new one by default
+     * @param {Function} [options.createResource] - Creates the audio resource
+     *   for a file, createAudioResource by default
+     */
+    constructor({
+        player = createAudioPlayer({
+            behaviors: {
+                noSubscriber: NoSubscriberBehavior.Pause,
+            },
+        }),
+        createResource = createAudioResource,
+    } = {}) {
+        this.player = player;
+        this.createResource = createResource;
+
+        // Track if the bot is currently speaking
+        this.isSpeaking = false;
+
+        // Whether stopPlayback() ended the current clip before its end
+        this.stopped = false;
+
+        // Clips waiting to be played back to back, in order
+        this.playbackQueue = [];
+        this.isDrainingQueue = false;
+
+        // Set up event listeners
+        this.player.on(AudioPlayerStatus.Playing, () => {
+            logger.debug("Audio player is playing");
+            this.isSpeaking = true;
+        });
+
+        this.player.on(AudioPlayerStatus.Idle, () => {
+            logger.debug("Audio player is idle");
+            this.isSpeaking = false;
+        });
+
+        this.player.on("error", (error) => {
+            logger.error("Error in audio player:", error);
+            this.isSpeaking = false;
+        });
+    }
+
+    /**
+     * Play an audio file in the voice channel
+     * @param {string} audioFilePath - Path to the audio file to play
+     * @param {object} connection - Discord voice connection
+     * @returns {Promise<boolean>} - Whether the clip was played to the end
+     */
+    async playAudio(audioFilePath, connection) {
+        return new Promise((resolve) => {
+            try {
+                logger.debug(`Playing audio file: ${audioFilePath}`);
+
+                // Check if file exists
+                if (!fs.existsSync(audioFilePath)) {
+                    logger.error(`Audio file not found: ${audioFilePath}`);
+                    resolve(false);
+                    return;
+                }
+
+                // Create audio resource
+                const resource = this.createResource(audioFilePath);
+
+                // Subscribe connection to player
+                connection.subscribe(this.player);
+
+                // Play the audio
+                this.stopped = false;
+                this.player.play(resource);
+
+                // Listen for completion
+                const onIdle = () => {
+                    this.player.removeListener(AudioPlayerStatus.Idle, onIdle);
+                    metrics.playbackSeconds.observe(
+                        resource.playbackDuration / 1000,
+                    );
+
+                    // Remove audio file after playing
+                    setTimeout(() => {
+                        tempFileManager.deleteTempFile(audioFilePath);
+                    }, 500);
+
+                    resolve(!this.stopped);
+                };
+
+                this.player.on(AudioPlayerStatus.Idle, onIdle);
+            } catch (error) {
+                logger.error("Error playing audio:", error);
                 resolve(false);
-                return;
             }
+        });
+    }
 
-            // Create audio resource
-            const resource = createAudioResource(audioFilePath);
+    /**
+     * Play queued clips one after another until the queue is empty
+     */
+    async drainQueue() {
+        if (this.isDrainingQueue) return;
+        this.isDrainingQueue = true;
 
-            // Subscribe connection to player
-            connection.subscribe(player);
+        try {
+            while (this.playbackQueue.length > 0) {
+                const entry = this.playbackQueue[0];
 
-            // Play the audio
-            player.play(resource);
+                // Wait for the clip to be ready, keeping the queue order
+                const audioFilePath = await entry.audioFile;
 
-            // Listen for completion
-            const onIdle = () => {
-                player.removeListener(AudioPlayerStatus.Idle, onIdle);
+                // The queue was cleared while waiting
+                if (this.playbackQueue[0] !== entry) continue;
+                this.playbackQueue.shift();
 
-                // Remove audio file after playing
-                setTimeout(() => {
-                    tempFileManager.deleteTempFile(audioFilePath);
-                }, 500);
+                if (!audioFilePath) {
+                    entry.resolve(false);
+                    continue;
+                }
 
-                resolve(true);
-            };
-
-            player.on(AudioPlayerStatus.Idle, onIdle);
+                if (entry.onStart) entry.onStart();
+                entry.resolve(
+                    await this.playAudio(audioFilePath, entry.connection),
+                );
+            }
         } catch (error) {
-            logger.error("Error playing audio:", error);
-            resolve(false);
+            logger.error("Error draining playback queue:", error);
+        } finally {
+            this.isDrainingQueue = false;
+        }
+    }
+
+    /**
+     * Queue an audio clip to play after the clips already queued
+     * @param {string|Promise<string|null>} audioFile - Path to the audio file, or a promise for it
+     * @param {object} connection - Discord voice connection
+     * @param {object} [options] - Queue options
+     * @param {Function} [options.onStart] - Called when the clip starts playing
+     * @returns {Promise<boolean>} - Whether the clip was played to the end
+     */
+    enqueueAudio(audioFile, connection, { onStart } = {}) {
+        return new Promise((resolve) => {
+            this.playbackQueue.push({
+                audioFile: Promise.resolve(audioFile).catch(() => null),
+                connection,
+                onStart,
+                resolve,
+            });
+            this.drainQueue();
+        });
+    }
+
+    /**
+     * Check if the bot is currently speaking
+     * @returns {boolean} - Whether the bot is speaking
+     */
+    isCurrentlySpeaking() {
+        return (
+            this.isSpeaking ||
+            this.playbackQueue.length > 0 ||
+            this.player.state.status === AudioPlayerStatus.Playing
+        );
+    }
+
+    /**
+     * Get how long the current clip has been playing
+     * @returns {number} - Playback position in milliseconds, 0 if idle
+     */
+    getPlaybackPosition() {
+        if (this.player.state.status !== AudioPlayerStatus.Playing) {
+            return 0;
+        }
+        return this.player.state.resource.playbackDuration;
+    }
+
+    /**
+     * Stop any current playback
+     */
+    stopPlayback() {
+        // Drop queued clips and delete their files once they are ready
+        for (const entry of this.playbackQueue.splice(0)) {
+            entry.resolve(false);
+            entry.audioFile.then((audioFilePath) => {
+                if (audioFilePath) {
+                    tempFileManager.deleteTempFile(audioFilePath);
+                }
+            });
         }
-    });
-}
 
-/**
- * Check if the bot is currently speaking
- * @returns {boolean} - Whether the bot is speaking
- */
-function isCurrentlySpeaking() {
-    return isSpeaking || player.state.status === AudioPlayerStatus.Playing;
+        this.stopped = true;
+        this.player.stop();
+        this.isSpeaking = false;
+    }
 }
 
 /**
- * Stop any current playback
+ * Create an audio player for a voice session
+ * @param {object} [options] - Playback options (see AudioPlayback)
+ * @returns {AudioPlayback} - The audio player
  */
-function stopPlayback() {
-    player.stop();
-    isSpeaking = false;
+function createAudioPlayback(options) {
+    return new AudioPlayback(options);
 }
 
 module.exports = {
-    playAudio,
-    isCurrentlySpeaking,
-    stopPlayback,
+    createAudioPlayback,
 };
@@ -1,251 +1,104 @@
 /**
  * Discord Client module
  */
-const fs = require("fs");
-const path = require("path");
-const { Client, GatewayIntentBits } = require("discord.js");
-const {
-    joinVoiceChannel,
-    VoiceConnectionStatus,
-    EndBehaviorType,
-} = require("@discordjs/voice");
-const prism = require("prism-media");
+const { ChannelType, Client, GatewayIntentBits } = require("discord.js");
 const { createLogger } = require("../utils/logger");
 const config = require("../utils/config");
-const tempFileManager = require("../utils/temp-file-manager");
-const speechToText = require("../ai/speech-to-text");
-const llmClient = require("../ai/llm-client");
-const textToSpeech = require("../ai/text-to-speech");
-const audioPlayer = require("./audio-player");
+const { configEvents } = require("../utils/config-loader");
+const commands = require("./commands");
+const textChat = require("./text-chat");
+const { VoiceSession } = require("./voice-session");
+const { openTranscript } = require("./transcript");
 
 const logger = createLogger("DiscordClient");
 
-// Initialize Discord client with required intents
-const client = new Client({
-    intents: [
-        GatewayIntentBits.Guilds,
-        GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.GuildVoiceStates,
-    ],
-});
-
-// State management
-let connection = null;
-let voiceChannel = null;
-const activeStreams = new Map();
-
-// Flag to prevent processing when bot is speaking
-let isProcessing = false;
+// The Discord client, created on first use
+let client = null;
 
 /**
- * Process the audio recorded from a user
- * @param {string} userId - Discord user ID
- * @param {string} tempFileName - Path to the temporary audio file
+ * Get the Discord client, creating it with the required intents if needed
+ * @returns {Client} - Discord client
  */
-async function processUserAudio(userId, tempFileName) {
-    try {
-        // Get user information
-        const user = client.users.cache.get(userId);
-        if (!user || user.bot) return;
-
-        // Get member for display name
-        const member = voiceChannel.guild.members.cache.get(userId);
-        const displayName = member ? member.displayName : user.username;
-
-        // Don't process if the bot is already speaking or processing another request
-        if (audioPlayer.isCurrentlySpeaking() || isProcessing) {
-            logger.debug(`Bot is busy, skipping processing for ${displayName}`);
-            return;
-        }
-
-        isProcessing = true;
-
-        // 1. Transcribe audio to text
-        const transcription = await speechToText.transcribeAudio(tempFileName);
-
-        // Skip if no transcription
-        if (!transcription || transcription.trim() === "") {
-            logger.debug(`No valid transcription for ${displayName}`);
-            isProcessing = false;
-            return;
-        }
-
-        logger.info(`Transcription from ${displayName}: ${transcription}`);
-
-        // 2. Add user message to LLM conversation history
-        llmClient.addUserMessage(displayName, transcription);
-
-        // 3. Generate response from LLM
-        const aiResponse = await llmClient.generateResponse();
-
-        // Skip if no response
-        if (!aiResponse) {
-            logger.warn("No response from LLM");
-            isProcessing = false;
-            return;
-        }
-
-        logger.info(`AI response: ${aiResponse}`);
-
-        // 4. Generate speech from response
-        const speechFilePath = await textToSpeech.generateSpeech(aiResponse);
-
-        // Skip if no speech generated
-        if (!speechFilePath) {
-            logger.warn("Failed to generate speech");
-            isProcessing = false;
-            return;
-        }
-
-        // 5. Play audio in voice channel
-        await audioPlayer.playAudio(speechFilePath, connection);
-
-        isProcessing = false;
-    } catch (error) {
-        logger.error("Error processing user audio:", error);
-        isProcessing = false;
+function getClient() {
+    if (!client) {
+        client = new Client({ intents: getIntents() });
     }
+    return client;
 }
 
 /**
- * Listen to a user speaking in the voice channel
- * @param {string} userId - Discord user ID
- * @param {boolean} speaking - Whether the user is speaking
+ * Get the gateway intents the bot needs. Message Content is privileged and
+ * must be enabled in the developer portal, so it is only requested for text
+ * chat channels; messages that mention the bot carry their content anyway.
+ * @returns {number[]} - The intents
  */
-function listenToUser(userId, speaking) {
-    if (!speaking) return;
-
-    // Get the user
-    const user = client.users.cache.get(userId);
-    if (!user || user.bot) return;
-
-    // Get member for display name
-    const member = voiceChannel.guild.members.cache.get(userId);
-    const displayName = member ? member.displayName : user.username;
-
-    logger.debug(`${displayName} is speaking`);
-
-    // Skip if bot is speaking or processing
-    if (audioPlayer.isCurrentlySpeaking() || isProcessing) {
-        logger.debug(`Bot is busy, skipping listen for ${displayName}`);
-        return;
+function getIntents() {
+    const intents = [
+        GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.GuildVoiceStates,
+    ];
+    if (config.textChat.channelIds.length > 0) {
+        intents.push(GatewayIntentBits.MessageContent);
     }
+    return intents;
+}
 
-    // Get audio stream with voice activity detection
-    const audioStream = connection.receiver.subscribe(userId, {
-        end: {
-            behavior: EndBehaviorType.AfterSilence,
-            duration: config.app.vadSilenceThreshold,
-        },
-    });
-
-    // Create temp file for audio
-    const { filePath: tempFileName, writeStream } =
-        tempFileManager.createTempFileStream(`voice_${userId}`, "pcm");
-
-    // Create Opus decoder for better quality
-    const opusDecoder = new prism.opus.Decoder({
-        rate: 48000,
-        channels: 2,
-        frameSize: 960,
-    });
-
-    // Pipe through opus decoder to file
-    audioStream.pipe(opusDecoder).pipe(writeStream);
-
-    // Track active stream
-    activeStreams.set(tempFileName, {
-        audioStream,
-        writeStream,
-        opusDecoder,
-        userId,
-        startTime: Date.now(),
-    });
-
-    // When the user stops speaking (silence detected)
-    audioStream.on("end", async () => {
-        try {
-            // Close the streams properly
-            opusDecoder.end();
-            writeStream.end();
-
-            // Remove from active streams
-            activeStreams.delete(tempFileName);
-
-            // Process the audio file
-            await processUserAudio(userId, tempFileName);
-        } catch (error) {
-            logger.error("Error handling audio end:", error);
-        } finally {
-            // Clean up temporary file after processing
-            setTimeout(() => {
-                tempFileManager.deleteTempFile(tempFileName);
-            }, 1000);
-        }
-    });
+/**
+ * Use a client instead of creating one, e.g. a fake in tests
+ * @param {object} discordClient - Discord client
+ */
+function setClient(discordClient) {
+    client = discordClient;
+}
 
-    // Handle errors on the stream
-    audioStream.on("error", (error) => {
-        logger.error("Error in audio stream:", error);
+// Active voice sessions, one per guild
+const sessions = new Map();
+
+// Sessions copy some settings (voice, prompt, ...) when they start
+configEvents.on("change", (changed) => {
+    // Intents are fixed at login
+    if (
+        changed.includes("textChat.channelIds") &&
+        client &&
+        !client.options.intents.has(GatewayIntentBits.MessageContent) &&
+        config.textChat.channelIds.length > 0
+    ) {
+        logger.warn(
+            "Text chat channels need the Message Content intent, restart the bot to request it",
+        );
+    }
 
-        try {
-            opusDecoder.end();
-            writeStream.end();
-            activeStreams.delete(tempFileName);
-            tempFileManager.deleteTempFile(tempFileName);
-        } catch (cleanupError) {
-            logger.error("Error during stream cleanup:", cleanupError);
-        }
-    });
-}
+    for (const session of sessions.values()) {
+        session.applyConfig();
+    }
+});
 
 /**
- * Connect to a Discord voice channel
+ * Connect to a Discord voice channel, replacing the guild's current session
+ * @param {string} channelId - ID of the voice channel
  * @returns {Promise<boolean>} - Whether the connection was successful
  */
-async function connectToVoice() {
+async function connectToVoice(channelId) {
     try {
         // Find the voice channel
-        const channel = await client.channels.fetch(
-            config.discord.voiceChannelId,
-        );
+        const client = getClient();
+        const channel = await client.channels.fetch(channelId);
 
-        if (!channel || channel.type !== 2) {
-            // 2 is GUILD_VOICE
-            logger.error(
-                `Could not find voice channel with ID ${config.discord.voiceChannelId}`,
-            );
+        if (!channel || channel.type !== ChannelType.GuildVoice) {
+            logger.error(`Could not find voice channel with ID ${channelId}`);
             return false;
         }
 
-        voiceChannel = channel;
-        logger.info(`Connecting to voice channel: ${channel.name}`);
+        // A bot can only be in one voice channel per guild
+        disconnect(channel.guild.id);
 
-        // Join the voice channel
-        connection = joinVoiceChannel({
-            channelId: channel.id,
-            guildId: channel.guild.id,
-            adapterCreator: channel.guild.voiceAdapterCreator,
-            selfDeaf: false, // Need to hear audio
-        });
+        const session = new VoiceSession(client, channel);
+        sessions.set(channel.guild.id, session);
+        session.connect();
 
-        // Set up speaking event
-        connection.receiver.speaking.on("start", (userId) => {
-            listenToUser(userId, true);
-        });
-
-        // Handle connection ready
-        connection.on(VoiceConnectionStatus.Ready, () => {
-            logger.info("Connected to voice channel!");
-        });
-
-        // Handle disconnection
-        connection.on(VoiceConnectionStatus.Disconnected, () => {
-            logger.warn(
-                "Disconnected from voice channel. Attempting to reconnect...",
-            );
-            setTimeout(() => connectToVoice(), 5000);
-        });
+        // Post a live transcript if the guild has a transcript channel
+        await openTranscript(client, session);
 
         return true;
     } catch (error) {
@@ -255,30 +108,60 @@ async function connectToVoice() {
 }
 
 /**
- * Disconnect from the voice channel
+ * Disconnect from a guild's voice channel
+ * @param {string} guildId - Discord guild ID
  */
-function disconnect() {
-    if (connection) {
-        logger.info("Disconnecting from voice channel...");
-        audioPlayer.stopPlayback();
-        connection.destroy();
-        connection = null;
-        voiceChannel = null;
+function disconnect(guildId) {
+    const session = sessions.get(guildId);
+    if (session) {
+        session.close();
+        sessions.delete(guildId);
     }
 }
 
+/**
+ * Get the voice session of a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {VoiceSession|undefined} - The session, if the bot is in a voice channel there
+ */
+function getSession(guildId) {
+    return sessions.get(guildId);
+}
+
+/**
+ * Get every active voice session
+ * @returns {VoiceSession[]} - The sessions, one per guild
+ */
+function getSessions() {
+    return [...sessions.values()];
+}
+
+// Voice controls exposed to the slash commands
+const voiceControls = {
+    join: connectToVoice,
+    leave: disconnect,
+    getSession,
+};
+
 /**
  * Initialize the Discord client
  * @returns {Promise<void>}
  */
 async function initialize() {
+    const client = getClient();
+
     // Set up event handlers
     client.once("ready", async () => {
         logger.info(`Logged in as ${client.user.tag}`);
 
-        // Connect to voice channel on startup
-        if (config.discord.voiceChannelId) {
-            await connectToVoice();
+        // Register slash commands for the configured guild
+        await commands.registerCommands();
+
+        // Connect to voice channels on startup
+        if (config.discord.voiceChannelIds.length > 0) {
+            for (const channelId of config.discord.voiceChannelIds) {
+                await connectToVoice(channelId);
+            }
         } else {
             logger.warn(
                 "No voice channel ID provided. Bot will not automatically join a voice channel.",
@@ -286,6 +169,22 @@ async function initialize() {
         }
     });
 
+    // Handle slash commands
+    client.on("interactionCreate", (interaction) => {
+        commands
+            .handleInteraction(interaction, voiceControls)
+            .catch((error) =>
+                logger.error("Error handling interaction:", error),
+            );
+    });
+
+    // Feed chat messages into the voice conversation
+    client.on("messageCreate", (message) => {
+        textChat
+            .handleMessage(message, voiceControls)
+            .catch((error) => logger.error("Error handling message:", error));
+    });
+
     // Handle errors
     client.on("error", (error) => {
         logger.error("Discord client error:", error);
@@ -301,30 +200,12 @@ async function initialize() {
 async function shutdown() {
     logger.info("Shutting down Discord client...");
 
-    // Close all active audio streams
-    for (const [fileName, streamData] of activeStreams.entries()) {
-        try {
-            logger.debug(`Closing stream for ${streamData.userId}...`);
-
-            // End all streams properly
-            if (streamData.audioStream) streamData.audioStream.destroy();
-            if (streamData.opusDecoder) streamData.opusDecoder.end();
-            if (streamData.writeStream) streamData.writeStream.end();
-
-            // Clean up temp file
-            tempFileManager.deleteTempFile(fileName);
-        } catch (error) {
-            logger.error(`Error closing stream for ${fileName}:`, error);
-        }
+    // Close every voice session
+    for (const guildId of [...sessions.keys()]) {
+        disconnect(guildId);
     }
 
-    // Clear active streams
-    activeStreams.clear();
-
-    // Disconnect from voice
-    disconnect();
-
-    // Destroy client
+    // Destroy client, if it was ever created
     if (client) {
         await client.destroy();
     }
@@ -333,5 +214,8 @@ async function shutdown() {
 module.exports = {
     initialize,
     shutdown,
-    client,
+    getSession,
+    getSessions,
+    getClient,
+    setClient,
 };
@@ -0,0 +1,536 @@
+/**
+ * Discord slash commands for controlling the bot
+ */
+const {
+    ChannelType,
+    InteractionContextType,
+    MessageFlags,
+    REST,
+    Routes,
+    SlashCommandBuilder,
+} = require("discord.js");
+const { createLogger } = require("../utils/logger");
+const config = require("../utils/config");
+const { getPolicyNames } = require("../ai/response-policy");
+const personas = require("../ai/personas");
+const textToSpeech = require("../ai/text-to-speech");
+const { getProfileStore } = require("../storage/profile-store");
+
+const logger = createLogger("Commands");
+
+// Reply for session commands used in a guild where the bot is not in voice
+const NO_SESSION_REPLY = "I'm not in a voice channel in this server.";
+
+/**
+ * Describe a user's profile for a command reply
+ * @param {object} profile - The profile
+ * @returns {string} - One line per setting
+ */
+function describeProfile(profile) {
+    return [
+        `Nickname: ${profile.nickname || "not set"}`,
+        `Reply language: ${profile.language || "not set"}`,
+        `Voice: ${profile.voice || "not set"}`,
+        `Transcription: ${profile.optOut ? "opted out" : "on"}`,
+    ].join("\n");
+}
+
+/**
+ * Command definitions. `restricted` commands are limited to the configured roles,
+ * `needsSession` commands only work while the bot is in voice in that guild,
+ * `deferReply` commands are acknowledged before they run.
+ * Each `execute` receives the interaction, the voice controls from the client
+ * and the guild's voice session (if any).
+ */
+const commands = [
+    {
+        data: new SlashCommandBuilder()
+            .setName("join")
+            .setDescription("Join a voice channel")
+            .addChannelOption((option) =>
+                option
+                    .setName("channel")
+                    .setDescription("Voice channel to join (defaults to yours)")
+                    .addChannelTypes(ChannelType.GuildVoice),
+            ),
+        restricted: true,
+        // Connecting can take longer than Discord waits for a reply
+        deferReply: true,
+        async execute(interaction, controls) {
+            const channel =
+                interaction.options.getChannel("channel") ||
+                interaction.member.voice.channel;
+
+            if (!channel) {
+                return "Pick a voice channel or join one first.";
+            }
+
+            const joined = await controls.join(channel.id);
+            return joined
+                ? `Joined ${channel.name}.`
+                : `Could not join ${channel.name}.`;
+        },
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName("leave")
+            .setDescription("Leave the voice channel"),
+        restricted: true,
+        needsSession: true,
+        async execute(interaction, controls) {
+            controls.leave(interaction.guildId);
+            return "Left the voice channel.";
+        },
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName("reset")
+            .setDescription("Forget the conversation so far"),
+        restricted: true,
+        needsSession: true,
+        async execute(interaction, controls, session) {
+            session.conversation.reset();
+            return "Conversation reset.";
+        },
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName("persona")
+            .setDescription("Switch the bot's character")
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("use")
+                    .setDescription("Switch to a persona")
+                    .addStringOption((option) =>
+                        option
+                            .setName("name")
+                            .setDescription("Persona name or file name")
+                            .setRequired(true),
+                    ),
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("list")
+                    .setDescription("List the available personas"),
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("default")
+                    .setDescription("Go back to the default character"),
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("prompt")
+                    .setDescription("Change only the system prompt")
+                    .addStringOption((option) =>
+                        option
+                            .setName("prompt")
+                            .setDescription("New system prompt")
+                            .setRequired(true),
+                    ),
+            ),
+        restricted: true,
+        needsSession: true,
+        async execute(interaction, controls, session) {
+            const { options } = interaction;
+            const historyNote = config.personas.resetHistory
+                ? " and conversation reset"
+                : "";
+
+            switch (options.getSubcommand()) {
+                case "use": {
+                    const name = options.getString("name", true);
+                    const persona = personas.getPersona(name);
+                    if (!persona) {
+                        return `No persona called ${name}. Use /persona list to see them.`;
+                    }
+                    session.setPersona(persona);
+                    return `Switched to ${persona.name}${historyNote}.`;
+                }
+                case "list": {
+                    const available = personas.listPersonas();
+                    if (available.length === 0) {
+                        return `No personas found in ${config.personas.directory}.`;
+                    }
+                    return available
+                        .map((persona) => `${persona.name} (${persona.id})`)
+                        .join("\n");
+                }
+                case "default":
+                    session.setPersona(null);
+                    return `Switched to the default character${historyNote}.`;
+                case "prompt":
+                    session.setSystemPrompt(options.getString("prompt", true));
+                    return `Persona updated${historyNote}.`;
+            }
+        },
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName("voice")
+            .setDescription("Change the text-to-speech voice")
+            .addStringOption((option) =>
+                option
+                    .setName("name")
+                    .setDescription("Voice name for the current TTS provider")
+                    .setRequired(true),
+            ),
+        restricted: true,
+        needsSession: true,
+        async execute(interaction, controls, session) {
+            const name = interaction.options.getString("name", true);
+            if (!textToSpeech.checkVoice(name)) {
+                return `${name} isn't a voice of the ${config.tts.provider} TTS provider.`;
+            }
+            session.settings.voice = name;
+            return `Voice set to ${name}.`;
+        },
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName("model")
+            .setDescription("Change the LLM model")
+            .addStringOption((option) =>
+                option
+                    .setName("name")
+                    .setDescription("Model name for the current LLM provider")
+                    .setRequired(true),
+            ),
+        restricted: true,
+        needsSession: true,
+        async execute(interaction, controls, session) {
+            const name = interaction.options.getString("name", true);
+            session.settings.model = name;
+            return `Model set to ${name}.`;
+        },
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName("respond")
+            .setDescription("Choose when the bot answers")
+            .addStringOption((option) =>
+                option
+                    .setName("policy")
+                    .setDescription("Response policy")
+                    .setRequired(true)
+                    .addChoices(
+                        ...getPolicyNames().map((name) => ({
+                            name,
+                            value: name,
+                        })),
+                    ),
+            ),
+        restricted: true,
+        needsSession: true,
+        async execute(interaction, controls, session) {
+            const policy = interaction.options.getString("policy", true);
+            session.settings.responsePolicy = policy;
+            return `Response policy set to ${policy}.`;
+        },
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName("mute")
+            .setDescription("Stop or resume responding to speech")
+            .addBooleanOption((option) =>
+                option
+                    .setName("muted")
+                    .setDescription(
+                        "Whether the bot is muted (toggles if omitted)",
+                    ),
+            ),
+        restricted: true,
+        needsSession: true,
+        async execute(interaction, controls, session) {
+            const muted = interaction.options.getBoolean("muted");
+            const isMuted = session.setMuted(
+                muted === null ? !session.settings.muted : muted,
+            );
+            return isMuted ? "Muted." : "Unmuted.";
+        },
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName("stop")
+            .setDescription("Stop the current reply"),
+        restricted: true,
+        needsSession: true,
+        async execute(interaction, controls, session) {
+            session.stopSpeaking();
+            return "Stopped.";
+        },
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName("profile")
+            .setDescription("Manage how the bot treats you")
+            .addSubcommand((subcommand) =>
+                subcommand.setName("show").setDescription("Show your profile"),
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("nickname")
+                    .setDescription("Set the name the bot calls you")
+                    .addStringOption((option) =>
+                        option
+                            .setName("name")
+                            .setDescription(
+                                "Easy to pronounce name (clears if omitted)",
+                            )
+                            .setMaxLength(32),
+                    ),
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("language")
+                    .setDescription(
+                        "Set the language the bot replies to you in",
+                    )
+                    .addStringOption((option) =>
+                        option
+                            .setName("language")
+                            .setDescription(
+                                "Language, e.g. German (clears if omitted)",
+                            )
+                            .setMaxLength(32),
+                    ),
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("voice")
+                    .setDescription(
+                        "Set the voice the bot uses when replying to you",
+                    )
+                    .addStringOption((option) =>
+                        option
+                            .setName("name")
+                            .setDescription(
+                                "Voice name for the current TTS provider (clears if omitted)",
+                            ),
+                    ),
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("optout")
+                    .setDescription(
+                        "Stop or allow the bot from transcribing your voice",
+                    )
+                    .addBooleanOption((option) =>
+                        option
+                            .setName("enabled")
+                            .setDescription(
+                                "Whether to opt out of transcription",
+                            )
+                            .setRequired(true),
+                    ),
+            )
+            .addSubcommand((subcommand) =>
+                subcommand
+                    .setName("clear")
+                    .setDescription("Delete your profile"),
+            ),
+        restricted: false,
+        async execute(interaction) {
+            const profiles = getProfileStore();
+            const userId = interaction.user.id;
+            const { options } = interaction;
+
+            switch (options.getSubcommand()) {
+                case "nickname":
+                    profiles.update(userId, {
+                        nickname: options.getString("name"),
+                    });
+                    break;
+                case "language":
+                    profiles.update(userId, {
+                        language: options.getString("language"),
+                    });
+                    break;
+                case "voice": {
+                    const name = options.getString("name");
+                    if (name && !textToSpeech.checkVoice(name)) {
+                        return `${name} isn't a voice of the ${config.tts.provider} TTS provider.`;
+                    }
+                    profiles.update(userId, { voice: name });
+                    break;
+                }
+                case "optout":
+                    profiles.update(userId, {
+                        optOut: options.getBoolean("enabled", true),
+                    });
+                    break;
+                case "clear":
+                    profiles.clear(userId);
+                    return "Profile deleted.";
+            }
+
+            return describeProfile(profiles.get(userId));
+        },
+    },
+    {
+        data: new SlashCommandBuilder()
+            .setName("status")
+            .setDescription("Show what the bot is doing"),
+        restricted: false,
+        needsSession: true,
+        async execute(interaction, controls, session) {
+            const status = session.getStatus();
+            return [
+                `Voice channel: ${status.channelName}`,
+                `Connection: ${status.connectionStatus || "none"}`,
+                `Muted: ${status.muted ? "yes" : "no"}`,
+                `Persona: ${status.persona || "default"}`,
+                `Response policy: ${status.responsePolicy}`,
+                `Busy: ${status.busy ? "yes" : "no"}`,
+                `Queued utterances: ${status.queuedUtterances}`,
+                `LLM: ${config.llm.provider} (${status.model})`,
+                `TTS: ${config.tts.provider} (${status.voice})`,
+                `STT: ${config.stt.provider}`,
+            ].join("\n");
+        },
+    },
+];
+
+// Every command acts on a guild, so none is offered in DMs, even when the
+// commands are registered globally
+for (const command of commands) {
+    command.data.setContexts(InteractionContextType.Guild);
+}
+
+const commandsByName = new Map(
+    commands.map((command) => [command.data.name, command]),
+);
+
+/**
+ * Register the slash commands in the configured guilds, or globally if none
+ * are configured
+ * @returns {Promise<boolean>} - Whether the commands were registered
+ */
+async function registerCommands() {
+    const { token, clientId, guildIds } = config.discord;
+
+    if (!clientId) {
+        logger.warn(
+            "CLIENT_ID not set. Slash commands will not be registered.",
+        );
+        return false;
+    }
+
+    const rest = new REST().setToken(token);
+    const body = commands.map((command) => command.data.toJSON());
+
+    if (guildIds.length === 0) {
+        try {
+            await rest.put(Routes.applicationCommands(clientId), { body });
+            logger.info(`Registered ${commands.length} global slash commands`);
+            return true;
+        } catch (error) {
+            logger.error("Error registering slash commands:", error);
+            return false;
+        }
+    }
+
+    // Keep going when one guild fails, e.g. because the bot was removed from it
+    let registered = true;
+    for (const guildId of guildIds) {
+        try {
+            await rest.put(Routes.applicationGuildCommands(clientId, guildId), {
+                body,
+            });
+            logger.info(
+                `Registered ${commands.length} slash commands in guild ${guildId}`,
+            );
+        } catch (error) {
+            logger.error(
+                `Error registering slash commands in guild ${guildId}:`,
+                error,
+            );
+            registered = false;
+        }
+    }
+    return registered;
+}
+
+/**
+ * Check whether a member may use restricted commands
+ * @param {object} member - Guild member
+ * @returns {boolean} - Whether the member has one of the allowed roles
+ */
+function isAllowed(member) {
+    const allowedRoles = config.discord.commandRoleIds;
+    if (allowedRoles.length === 0) return true;
+
+    return (
+        !!member &&
+        allowedRoles.some((roleId) => member.roles.cache.has(roleId))
+    );
+}
+
+/**
+ * Handle a slash command interaction
+ * @param {object} interaction - Discord interaction
+ * @param {object} controls - Voice controls provided by the Discord client
+ */
+async function handleInteraction(interaction, controls) {
+    if (!interaction.isChatInputCommand()) return;
+
+    const command = commandsByName.get(interaction.commandName);
+    if (!command) return;
+
+    // The interaction may have expired or been answered already
+    const reply = async (content) => {
+        try {
+            if (interaction.deferred) {
+                await interaction.editReply({ content });
+            } else {
+                await interaction.reply({
+                    content,
+                    flags: MessageFlags.Ephemeral,
+                });
+            }
+        } catch (error) {
+            logger.error(
+                `Could not reply to /${interaction.commandName}:`,
+                error,
+            );
+        }
+    };
+
+    // Commands registered before they were limited to guilds still show up in DMs
+    if (!interaction.inGuild()) {
+        await reply("This command only works in a server.");
+        return;
+    }
+
+    if (command.restricted && !isAllowed(interaction.member)) {
+        logger.warn(
+            `${interaction.user.tag} is not allowed to use /${interaction.commandName}`,
+        );
+        await reply("You don't have permission to use this command.");
+        return;
+    }
+
+    const session = controls.getSession(interaction.guildId);
+    if (command.needsSession && !session) {
+        await reply(NO_SESSION_REPLY);
+        return;
+    }
+
+    try {
+        logger.info(`${interaction.user.tag} used /${interaction.commandName}`);
+        if (command.deferReply) {
+            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        }
+        await reply(await command.execute(interaction, controls, session));
+    } catch (error) {
+        logger.error(`Error running /${interaction.commandName}:`, error);
+        if (!interaction.replied) {
+            await reply("Something went wrong running that command.");
+        }
+    }
+}
+
+module.exports = {
+    registerCommands,
+    handleInteraction,
+};
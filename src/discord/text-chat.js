@@ -0,0 +1,66 @@
+/**
+ * Chat input: messages in the linked text channels, or mentions of the bot,
+ * join the conversation the bot is having in voice
+ */
+const { cleanContent } = require("discord.js");
+const { createLogger } = require("../utils/logger");
+const config = require("../utils/config");
+
+const logger = createLogger("TextChat");
+
+// Discord's message length limit
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Handle a message posted in a guild
+ * @param {object} message - Discord message
+ * @param {object} controls - Voice controls provided by the Discord client
+ */
+async function handleMessage(message, controls) {
+    if (message.author.bot || !message.inGuild()) return;
+
+    const botUser = message.client.user;
+    const addressed =
+        config.textChat.respondToMentions &&
+        message.mentions.users.has(botUser.id);
+    const linked = config.textChat.channelIds.includes(message.channelId);
+
+    if (!addressed && !linked) return;
+
+    // Chat joins the voice conversation, so there has to be one
+    const session = controls.getSession(message.guildId);
+    if (!session || session.settings.muted) return;
+
+    // Drop the mention itself and turn other mentions into readable names
+    const text = cleanContent(
+        message.content.replace(new RegExp(`<@!?${botUser.id}>`, "g"), ""),
+        message.channel,
+    ).trim();
+
+    if (!text) return;
+
+    logger.debug(`Chat message from ${message.author.tag}: ${text}`);
+
+    const reply = (content) =>
+        message
+            .reply({
+                content: content.slice(0, MAX_MESSAGE_LENGTH),
+                allowedMentions: { parse: [], repliedUser: false },
+            })
+            .catch((error) => {
+                logger.error("Error replying to chat message:", error);
+            });
+
+    try {
+        await session.processTextMessage(message.author.id, text, {
+            addressed,
+            reply,
+        });
+    } catch (error) {
+        logger.error("Error handling chat message:", error);
+    }
+}
+
+module.exports = {
+    handleMessage,
+};
@@ -0,0 +1,162 @@
+/**
+ * Live transcript of a voice session, posted to a text channel or thread
+ */
+const { escapeMarkdown } = require("discord.js");
+const { createLogger } = require("../utils/logger");
+const config = require("../utils/config");
+
+const logger = createLogger("Transcript");
+
+// Discord's message length limit
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Format a time as a Discord timestamp, shown in each reader's time zone
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} - Discord timestamp markup
+ */
+function formatTime(time) {
+    return `<t:${Math.floor(time / 1000)}:T>`;
+}
+
+/**
+ * Collects transcript lines and posts them in batches, so a busy conversation
+ * takes a few messages rather than one per utterance
+ */
+class LiveTranscript {
+    /**
+     * @param {object} session - Voice session to transcribe
+     * @param {object} channel - Text channel or thread to post to
+     * @param {string} botName - Name shown for the bot's replies
+     */
+    constructor(session, channel, botName) {
+        this.session = session;
+        this.channel = channel;
+        this.botName = botName;
+        this.lines = [];
+        this.flushTimer = null;
+
+        // Posting is sequential so messages stay in order
+        this.sending = Promise.resolve();
+
+        this.onUtterance = ({ displayName, text, time, source }) => {
+            let line = `${formatTime(time)} **${escapeMarkdown(displayName)}:** ${escapeMarkdown(text)}`;
+            if (source === "text") line += " *(typed)*";
+            this.addLine(line);
+        };
+
+        this.onReply = ({ text, interrupted, time }) => {
+            let line = `${formatTime(time)} **${escapeMarkdown(this.botName)}:**`;
+            if (text) line += ` ${escapeMarkdown(text)}`;
+            if (interrupted) {
+                line += text
+                    ? " *(interrupted)*"
+                    : " *(interrupted before speaking)*";
+            }
+            this.addLine(line);
+        };
+
+        this.onClose = () => this.close();
+
+        session.on("utterance", this.onUtterance);
+        session.on("reply", this.onReply);
+        session.once("close", this.onClose);
+    }
+
+    /**
+     * Add a line and schedule the next post
+     * @param {string} line - Transcript line
+     */
+    addLine(line) {
+        this.lines.push(line.slice(0, MAX_MESSAGE_LENGTH));
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(
+                () => this.flush(),
+                config.transcript.flushMs,
+            );
+        }
+    }
+
+    /**
+     * Post the collected lines, split into as few messages as fit
+     * @returns {Promise<void>}
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const messages = [];
+        for (const line of this.lines.splice(0)) {
+            const last = messages.length - 1;
+            if (
+                last >= 0 &&
+                messages[last].length + 1 + line.length <= MAX_MESSAGE_LENGTH
+            ) {
+                messages[last] += `\n${line}`;
+            } else {
+                messages.push(line);
+            }
+        }
+
+        for (const content of messages) {
+            this.sending = this.sending.then(() =>
+                this.channel
+                    .send({ content, allowedMentions: { parse: [] } })
+                    .catch((error) => {
+                        logger.error("Error posting transcript:", error);
+                    }),
+            );
+        }
+
+        return this.sending;
+    }
+
+    /**
+     * Stop following the session and post what is left
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.session.removeListener("utterance", this.onUtterance);
+        this.session.removeListener("reply", this.onReply);
+        this.session.removeListener("close", this.onClose);
+        return this.flush();
+    }
+}
+
+/**
+ * Start a live transcript for a session, if a transcript channel is
+ * configured in the session's guild
+ * @param {object} client - Discord client
+ * @param {object} session - Voice session to transcribe
+ * @returns {Promise<LiveTranscript|null>} - The transcript, or null if none is configured
+ */
+async function openTranscript(client, session) {
+    for (const channelId of config.transcript.channelIds) {
+        try {
+            const channel = await client.channels.fetch(channelId);
+
+            if (
+                channel &&
+                channel.isTextBased() &&
+                channel.guildId === session.guildId
+            ) {
+                const me = channel.guild.members.me;
+                const botName = me ? me.displayName : client.user.username;
+
+                logger.info(`Posting transcript to #${channel.name}`);
+                return new LiveTranscript(session, channel, botName);
+            }
+        } catch (error) {
+            logger.error(
+                `Could not fetch transcript channel ${channelId}:`,
+                error,
+            );
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    openTranscript,
+};
@@ -0,0 +1,96 @@
+/**
+ * Queue of finished user utterances waiting for the bot to respond
+ */
+const { createLogger } = require("../utils/logger");
+const metrics = require("../utils/metrics");
+
+const logger = createLogger("UtteranceQueue");
+
+class UtteranceQueue {
+    /**
+     * @param {object} options - Queue limits
+     * @param {number} options.maxDepth - Maximum number of queued utterances
+     * @param {number} options.maxAgeMs - Maximum time an utterance may wait, in milliseconds
+     */
+    constructor({ maxDepth, maxAgeMs }) {
+        this.maxDepth = maxDepth;
+        this.maxAgeMs = maxAgeMs;
+        this.utterances = [];
+    }
+
+    get size() {
+        return this.utterances.length;
+    }
+
+    /**
+     * Add a finished utterance, keeping the queue ordered by when utterances ended
+     * @param {object} utterance - The utterance
+     * @param {string} utterance.userId - Discord user ID of the speaker
+     * @param {string} utterance.displayName - Display name of the speaker
+     * @param {number} utterance.endedAt - When the speaker stopped talking (ms timestamp)
+     * @param {Promise<object|null>} utterance.transcription - Pending transcription (`text` and `language`)
+     */
+    push(utterance) {
+        let index = this.utterances.length;
+        while (
+            index > 0 &&
+            this.utterances[index - 1].endedAt > utterance.endedAt
+        ) {
+            index--;
+        }
+        this.utterances.splice(index, 0, utterance);
+
+        // Drop the oldest utterances once the queue is full
+        while (this.utterances.length > this.maxDepth) {
+            const dropped = this.utterances.shift();
+            logger.warn(
+                `Queue full, dropping utterance from ${dropped.displayName}`,
+            );
+            metrics.skippedUtterances.inc({ reason: "bot_busy" });
+        }
+    }
+
+    /**
+     * Remove utterances that have waited longer than the maximum age
+     * @param {number} [now] - Current time (ms timestamp)
+     * @returns {number} - Number of utterances removed
+     */
+    pruneExpired(now = Date.now()) {
+        const before = this.utterances.length;
+        this.utterances = this.utterances.filter((utterance) => {
+            if (now - utterance.endedAt <= this.maxAgeMs) return true;
+
+            logger.debug(
+                `Dropping expired utterance from ${utterance.displayName}`,
+            );
+            metrics.skippedUtterances.inc({ reason: "bot_busy" });
+            return false;
+        });
+        return before - this.utterances.length;
+    }
+
+    /**
+     * Take the oldest utterance from the queue
+     * @returns {object|undefined} - The utterance, if any
+     */
+    takeNext() {
+        return this.utterances.shift();
+    }
+
+    /**
+     * Take every queued utterance, oldest first
+     * @returns {object[]} - The utterances
+     */
+    takeAll() {
+        return this.utterances.splice(0);
+    }
+
+    /**
+     * Remove all queued utterances
+     */
+    clear() {
+        this.utterances = [];
+    }
+}
+
+module.exports = { UtteranceQueue };
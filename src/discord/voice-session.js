@@ -0,0 +1,1250 @@
+/**
+ * Voice session: one guild voice connection with its own player,
+ * receiver streams, conversation and settings
+ */
+const {
+    joinVoiceChannel,
+    VoiceConnectionStatus,
+    EndBehaviorType,
+} = require("@discordjs/voice");
+const fs = require("fs");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const prism = require("prism-media");
+const {
+    createLogger,
+    runWithLogContext,
+    bindLogContext,
+    getLogContext,
+} = require("../utils/logger");
+const config = require("../utils/config");
+const { getGuildConfig } = require("../utils/config-loader");
+const tempFileManager = require("../utils/temp-file-manager");
+const metrics = require("../utils/metrics");
+const speechToText = require("../ai/speech-to-text");
+const llmClient = require("../ai/llm-client");
+const textToSpeech = require("../ai/text-to-speech");
+const responsePolicy = require("../ai/response-policy");
+const personas = require("../ai/personas");
+const {
+    getHistoryStore,
+    conversationKey,
+} = require("../storage/history-store");
+const { getProfileStore } = require("../storage/profile-store");
+const { languageName } = require("../utils/languages");
+const { createAudioPlayback } = require("./audio-player");
+const { UtteranceQueue } = require("./utterance-queue");
+const { CAPTURE_FORMAT, bytesPerMs } = require("../audio/pcm");
+const {
+    FRAME_MS,
+    analyzeUtterance,
+    UtteranceSegmenter,
+} = require("../audio/vad");
+
+const logger = createLogger("VoiceSession");
+
+// Rough speaking speed used to estimate how much of an interrupted reply was heard
+const WORDS_PER_SECOND = 2.5;
+
+// Delay before rejoining after an unexpected disconnect
+const RECONNECT_DELAY_MS = 5000;
+
+// Finished turns kept for the control API
+const RECENT_TURNS = 20;
+
+/**
+ * Create an ID that ties together the log lines of one utterance and its reply
+ * @returns {string} - The turn ID
+ */
+function createTurnId() {
+    return crypto.randomBytes(4).toString("hex");
+}
+
+/**
+ * Get the log fields for a turn answering a set of utterances
+ * @param {object[]} utterances - The utterances
+ * @returns {object} - `turnId`, `userId` and `guildId`; joined when the turn merges several utterances
+ */
+function turnLogContext(utterances) {
+    if (utterances.length === 1) return utterances[0].logContext;
+
+    const contexts = utterances.map((utterance) => utterance.logContext);
+    return {
+        ...contexts[0],
+        turnId: contexts.map((context) => context.turnId).join("+"),
+        userId: [...new Set(contexts.map((context) => context.userId))].join(
+            ",",
+        ),
+    };
+}
+
+/**
+ * Create a decoder for the Opus packets received from a user
+ * @returns {object} - Stream of captured PCM
+ */
+function createOpusDecoder() {
+    return new prism.opus.Decoder({
+        rate: CAPTURE_FORMAT.sampleRate,
+        channels: CAPTURE_FORMAT.channels,
+        frameSize: 960,
+    });
+}
+
+/**
+ * Estimate the part of a reply that was spoken before playback stopped
+ * @param {string} text - The full reply text
+ * @param {number} playedMs - How long the reply had been playing
+ * @param {number} speakingRate - Speaking rate of the voice, 1.0 is normal speed
+ * @returns {string} - The estimated spoken part of the reply
+ */
+function estimateSpokenText(text, playedMs, speakingRate) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const wordsPerSecond = WORDS_PER_SECOND * speakingRate;
+    const spokenWords = Math.floor((playedMs / 1000) * wordsPerSecond);
+    return words.slice(0, spokenWords).join(" ");
+}
+
+/**
+ * Get the session settings a persona controls. Whatever the persona leaves
+ * out, or all of them without a persona, come from the configuration.
+ * @param {object|null} persona - The persona, or null for the defaults
+ * @param {object} [guildConfig] - The configuration as it applies to the guild
+ * @returns {object} - Settings to apply to the session
+ */
+function getPersonaSettings(persona, guildConfig = config) {
+    const { speakingRate, pitch } = guildConfig.google.textToSpeech;
+    const settings = {
+        persona: null,
+        systemPrompt: guildConfig.ollama.systemPrompt,
+        examples: [],
+        model: llmClient.getDefaultModel(),
+        sampling: {},
+        voice: textToSpeech.getDefaultVoice(guildConfig),
+        speakingRate,
+        pitch,
+    };
+    if (!persona) return settings;
+
+    return {
+        persona: persona.name,
+        systemPrompt: persona.systemPrompt,
+        examples: persona.examples,
+        model: persona.model || settings.model,
+        sampling: persona.sampling,
+        voice:
+            persona.voice && textToSpeech.checkVoice(persona.voice)
+                ? persona.voice
+                : settings.voice,
+        speakingRate:
+            persona.speakingRate === null
+                ? settings.speakingRate
+                : persona.speakingRate,
+        pitch: persona.pitch === null ? settings.pitch : persona.pitch,
+    };
+}
+
+/**
+ * Decide where a turn's reply goes. Voice utterances are always answered out
+ * loud; chat messages are answered as configured with TEXT_REPLY_MODE.
+ * @param {object[]} utterances - The turn's utterances
+ * @returns {object} - `speak` and, if the reply is also posted, `textReply(text)`
+ */
+function getReplyTargets(utterances) {
+    const { replyMode } = config.textChat;
+    const messages = utterances.filter(
+        (utterance) => utterance.source === "text",
+    );
+
+    const speak = messages.length < utterances.length || replyMode !== "text";
+    const lastMessage = messages[messages.length - 1];
+
+    return {
+        speak,
+        textReply:
+            lastMessage && replyMode !== "voice" ? lastMessage.reply : null,
+    };
+}
+
+/**
+ * Emits "interim" with `{ userId, displayName, text }` while a user's speech
+ * is being recognized, when streaming recognition is in use. Emits
+ * "utterance" with `{ userId, displayName, text, time, source, language }` for
+ * each transcribed utterance or chat message, "reply" with
+ * `{ text, interrupted, time }` for each reply the bot spoke, and "close" when
+ * the session ends.
+ */
+class VoiceSession extends EventEmitter {
+    /**
+     * @param {object} client - Discord client
+     * @param {object} channel - Voice channel to join
+     * @param {object} [dependencies] - Replacements for the Discord voice parts, e.g. fakes in tests
+     * @param {Function} [dependencies.joinChannel] - Joins the channel and returns
+     *   the voice connection, joinVoiceChannel by default
+     * @param {Function} [dependencies.createDecoder] - Returns a stream that turns a
+     *   user's received Opus packets into captured PCM
+     * @param {object} [dependencies.audioPlayer] - Player for the bot's replies
+     */
+    constructor(
+        client,
+        channel,
+        {
+            joinChannel = joinVoiceChannel,
+            createDecoder = createOpusDecoder,
+            audioPlayer = createAudioPlayback(),
+        } = {},
+    ) {
+        super();
+        this.client = client;
+        this.channel = channel;
+        this.joinChannel = joinChannel;
+        this.createDecoder = createDecoder;
+        this.guildId = channel.guild.id;
+        this.connection = null;
+        this.isClosed = false;
+
+        // Start with the configured persona, if any
+        const guildConfig = getGuildConfig(this.guildId);
+        let persona = null;
+        if (guildConfig.personas.default) {
+            persona = personas.getPersona(guildConfig.personas.default);
+            if (!persona) {
+                logger.warn(
+                    `Persona not found: ${guildConfig.personas.default}`,
+                );
+            }
+        }
+
+        // The settings as configured, to tell them apart from the ones
+        // changed with slash commands when the configuration changes
+        this.configuredSettings = this.getConfiguredSettings(persona);
+
+        // Per-session settings, changed with slash commands
+        this.settings = {
+            ...this.configuredSettings,
+            muted: false,
+        };
+
+        // Conversations are persisted per guild and channel
+        this.conversation = llmClient.createConversation(this.settings, {
+            store: getHistoryStore(),
+            key: conversationKey(this.guildId, channel.id),
+        });
+        this.audioPlayer = audioPlayer;
+        this.activeStreams = new Map();
+
+        // Finished utterances waiting for the bot to respond
+        this.utteranceQueue = new UtteranceQueue(config.turnQueue);
+
+        // The turn currently being processed (transcription through playback), if any
+        this.currentTurn = null;
+
+        // Summaries of the last finished turns, oldest first
+        this.recentTurns = [];
+    }
+
+    /**
+     * Join the voice channel and start listening
+     */
+    connect() {
+        logger.info(`Connecting to voice channel: ${this.channel.name}`);
+
+        // Join the voice channel
+        this.connection = this.joinChannel({
+            channelId: this.channel.id,
+            guildId: this.guildId,
+            adapterCreator: this.channel.guild.voiceAdapterCreator,
+            selfDeaf: false, // Need to hear audio
+        });
+
+        // Set up speaking event
+        this.connection.receiver.speaking.on("start", (userId) => {
+            runWithLogContext({ guildId: this.guildId, userId }, () =>
+                this.listenToUser(userId, true),
+            );
+        });
+
+        // Handle connection ready
+        this.connection.on(VoiceConnectionStatus.Ready, () => {
+            logger.info(`Connected to voice channel ${this.channel.name}!`);
+        });
+
+        // Handle disconnection
+        this.connection.on(VoiceConnectionStatus.Disconnected, () => {
+            logger.warn(
+                `Disconnected from ${this.channel.name}. Attempting to reconnect...`,
+            );
+            setTimeout(() => this.reconnect(), RECONNECT_DELAY_MS);
+        });
+    }
+
+    /**
+     * Replace a lost connection with a new one, unless the session was closed
+     */
+    reconnect() {
+        if (this.isClosed) return;
+
+        this.closeStreams();
+        if (this.connection.state.status !== VoiceConnectionStatus.Destroyed) {
+            this.connection.destroy();
+        }
+        this.connect();
+    }
+
+    /**
+     * Check if the bot is busy speaking or processing a turn
+     * @returns {boolean} - Whether the bot is busy
+     */
+    isBusy() {
+        return (
+            this.audioPlayer.isCurrentlySpeaking() || this.currentTurn !== null
+        );
+    }
+
+    /**
+     * Check if the bot is replying: generating, synthesizing or playing a
+     * reply, rather than still waiting for transcriptions
+     * @returns {boolean} - Whether the bot is replying
+     */
+    isResponding() {
+        return (
+            this.audioPlayer.isCurrentlySpeaking() ||
+            (this.currentTurn !== null && this.currentTurn.responding)
+        );
+    }
+
+    /**
+     * Get the name a guild member goes by: their profile nickname, if set,
+     * or their display name
+     * @param {string} userId - Discord user ID
+     * @returns {string|null} - Name, or null for unknown users and bots
+     */
+    getDisplayName(userId) {
+        // Get user information
+        const user = this.client.users.cache.get(userId);
+        if (!user || user.bot) return null;
+
+        const { nickname } = getProfileStore().get(userId);
+        if (nickname) return nickname;
+
+        // Get member for display name
+        const member = this.channel.guild.members.cache.get(userId);
+        return member ? member.displayName : user.username;
+    }
+
+    /**
+     * Interrupt the bot: stop playback and cancel the pending LLM/TTS work
+     * @param {string} reason - Why the bot was interrupted, for logging
+     */
+    interrupt(reason) {
+        const turn = this.currentTurn;
+
+        logger.info(`Interrupting the bot: ${reason}`);
+
+        if (turn) {
+            turn.interruptedAtMs = this.audioPlayer.getPlaybackPosition();
+            turn.controller.abort();
+            this.currentTurn = null;
+        }
+
+        this.audioPlayer.stopPlayback();
+    }
+
+    /**
+     * Stop the current reply, cancelling any work still pending for it
+     */
+    stopSpeaking() {
+        if (this.isBusy()) {
+            this.interrupt("stopped by command");
+        }
+    }
+
+    /**
+     * Mute or unmute the bot. A muted bot ignores speech and stops talking.
+     * @param {boolean} muted - Whether the bot should be muted
+     * @returns {boolean} - The new muted state
+     */
+    setMuted(muted) {
+        this.settings.muted = muted;
+        if (muted) {
+            this.utteranceQueue.clear();
+            this.stopSpeaking();
+        }
+        logger.info(muted ? "Bot muted" : "Bot unmuted");
+        return muted;
+    }
+
+    /**
+     * Replace the system prompt. Like a persona switch, the conversation
+     * starts over or continues as configured with PERSONA_RESET_HISTORY.
+     * @param {string} systemPrompt - The new system prompt
+     */
+    setSystemPrompt(systemPrompt) {
+        this.settings.systemPrompt = systemPrompt;
+
+        if (config.personas.resetHistory) {
+            this.conversation.reset();
+        } else {
+            this.conversation.refreshPinned();
+        }
+    }
+
+    /**
+     * Switch to a persona, or back to the configured defaults. The conversation
+     * starts over or continues with the new character, as configured with
+     * PERSONA_RESET_HISTORY.
+     * @param {object|null} persona - The persona, or null for the defaults
+     */
+    setPersona(persona) {
+        const { responsePolicy, ...personaSettings } =
+            this.getConfiguredSettings(persona);
+        Object.assign(this.settings, personaSettings);
+        this.configuredSettings = { ...personaSettings, responsePolicy };
+
+        if (config.personas.resetHistory) {
+            this.conversation.reset();
+        } else {
+            this.conversation.refreshPinned();
+        }
+
+        logger.info(
+            `Switched to persona: ${this.settings.persona || "default"}`,
+        );
+    }
+
+    /**
+     * Get the settings the configuration gives this session
+     * @param {object|null} persona - The session's persona, or null for none
+     * @returns {object} - Persona settings and the response policy, with the
+     *   guild's overrides applied
+     */
+    getConfiguredSettings(persona) {
+        const guildConfig = getGuildConfig(this.guildId);
+        return {
+            ...getPersonaSettings(persona, guildConfig),
+            responsePolicy: guildConfig.response.policy,
+        };
+    }
+
+    /**
+     * Pick up configuration changes. Settings changed with slash commands or
+     * the control API are kept.
+     */
+    applyConfig() {
+        const previous = this.configuredSettings;
+        const persona = this.settings.persona
+            ? personas.getPersona(this.settings.persona)
+            : null;
+        this.configuredSettings = this.getConfiguredSettings(persona);
+
+        // Settings still at their configured value follow the configuration
+        const changed = Object.keys(this.configuredSettings).filter(
+            (key) =>
+                this.settings[key] === previous[key] &&
+                JSON.stringify(previous[key]) !==
+                    JSON.stringify(this.configuredSettings[key]),
+        );
+        for (const key of changed) {
+            this.settings[key] = this.configuredSettings[key];
+        }
+
+        if (changed.includes("systemPrompt") || changed.includes("examples")) {
+            this.conversation.refreshPinned();
+        }
+        if (changed.length > 0) {
+            logger.info(`Applied configuration changes: ${changed.join(", ")}`);
+        }
+    }
+
+    /**
+     * Say something the bot was not asked, e.g. when a timer ends. It is
+     * added to the conversation and played after anything already queued.
+     * @param {string} text - What to say
+     * @returns {Promise<boolean>} - Whether it was played
+     */
+    async announce(text) {
+        if (this.isClosed || this.settings.muted) return false;
+
+        logger.info(`Announcement: ${text}`);
+        this.conversation.addAssistantMessage(text);
+
+        const speechFile = textToSpeech.generateSpeech(text, {
+            voice: this.settings.voice,
+            rate: this.settings.speakingRate,
+            pitch: this.settings.pitch,
+        });
+        const played = await this.audioPlayer.enqueueAudio(
+            speechFile,
+            this.connection,
+        );
+
+        if (played) {
+            this.emit("reply", { text, interrupted: false, time: Date.now() });
+        }
+        return played;
+    }
+
+    /**
+     * Speak a text as it is, without the LLM or the conversation history.
+     * A muted bot says nothing.
+     * @param {string} text - What to say
+     * @returns {Promise<boolean>} - Whether it was played
+     */
+    async say(text) {
+        if (this.isClosed || this.settings.muted) return false;
+
+        logger.info(`Saying: ${text}`);
+
+        // Queued, so it plays after a reply instead of cutting it off
+        const speechFile = textToSpeech.generateSpeech(text, {
+            voice: this.settings.voice,
+            rate: this.settings.speakingRate,
+            pitch: this.settings.pitch,
+        });
+        return this.audioPlayer.enqueueAudio(speechFile, this.connection);
+    }
+
+    /**
+     * Record an interrupted turn's partial reply in the conversation history
+     * @param {object} turn - The interrupted turn
+     */
+    recordInterruptedTurn(turn) {
+        // Nothing to record if the bot had not started replying
+        if (!turn.responding) return;
+
+        const spokenText = [
+            ...turn.spokenSentences,
+            estimateSpokenText(
+                turn.playingText,
+                turn.interruptedAtMs,
+                this.settings.speakingRate,
+            ),
+        ]
+            .join(" ")
+            .trim();
+        turn.reply = spokenText;
+        this.conversation.markLastResponseInterrupted(spokenText);
+        this.emit("reply", {
+            text: spokenText,
+            interrupted: true,
+            time: Date.now(),
+        });
+    }
+
+    /**
+     * Generate the whole reply, synthesize it and play it as a single clip
+     * @param {object} turn - The turn being processed
+     */
+    async speakResponse(turn) {
+        const { signal } = turn.controller;
+
+        // Generate response from LLM
+        const aiResponse = await this.conversation.generateResponse({
+            language: turn.language,
+            toolContext: { session: this },
+            signal,
+        });
+        if (signal.aborted) return;
+        turn.reply = aiResponse;
+
+        // Skip if no response
+        if (!aiResponse) {
+            logger.warn("No response from LLM");
+            metrics.skippedUtterances.inc({ reason: "llm_null" });
+            return;
+        }
+
+        logger.info(`AI response: ${aiResponse}`);
+        if (turn.textReply) turn.textReply(aiResponse);
+
+        // Generate speech from response
+        const speechFilePath = await textToSpeech.generateSpeech(aiResponse, {
+            voice: turn.voice,
+            rate: this.settings.speakingRate,
+            pitch: this.settings.pitch,
+        });
+
+        if (signal.aborted) {
+            if (speechFilePath) tempFileManager.deleteTempFile(speechFilePath);
+            return;
+        }
+
+        // Skip if no speech generated
+        if (!speechFilePath) {
+            logger.warn("Failed to generate speech");
+            return;
+        }
+
+        // Play audio in voice channel, after any clip already queued
+        await this.audioPlayer.enqueueAudio(speechFilePath, this.connection, {
+            onStart: () => {
+                turn.playingText = aiResponse;
+                this.recordFirstAudio(turn);
+            },
+        });
+
+        if (!signal.aborted) {
+            this.emit("reply", {
+                text: aiResponse,
+                interrupted: false,
+                time: Date.now(),
+            });
+        }
+    }
+
+    /**
+     * Generate the whole reply and post it as text only
+     * @param {object} turn - The turn being processed
+     */
+    async writeResponse(turn) {
+        const { signal } = turn.controller;
+
+        const aiResponse = await this.conversation.generateResponse({
+            language: turn.language,
+            toolContext: { session: this },
+            signal,
+        });
+        if (signal.aborted) return;
+        turn.reply = aiResponse;
+
+        if (!aiResponse) {
+            logger.warn("No response from LLM");
+            metrics.skippedUtterances.inc({ reason: "llm_null" });
+            return;
+        }
+
+        logger.info(`AI response: ${aiResponse}`);
+        turn.textReply(aiResponse);
+    }
+
+    /**
+     * Stream the reply from the LLM, synthesizing and queueing each sentence
+     * as soon as it is complete
+     * @param {object} turn - The turn being processed
+     */
+    async speakStreamedResponse(turn) {
+        const { signal } = turn.controller;
+        const playbacks = [];
+
+        const speakSentence = (sentence) => {
+            if (signal.aborted) return;
+
+            // Synthesis starts right away; the queue keeps the clips in order
+            const speechFile = textToSpeech.generateSpeech(sentence, {
+                voice: turn.voice,
+                rate: this.settings.speakingRate,
+                pitch: this.settings.pitch,
+            });
+            const playback = this.audioPlayer
+                .enqueueAudio(speechFile, this.connection, {
+                    onStart: () => {
+                        turn.playingText = sentence;
+                        this.recordFirstAudio(turn);
+                    },
+                })
+                .then((played) => {
+                    if (played && !signal.aborted) {
+                        turn.spokenSentences.push(sentence);
+                        turn.playingText = "";
+                    }
+                });
+
+            playbacks.push(playback);
+        };
+
+        const aiResponse = await this.conversation.generateResponseStream({
+            language: turn.language,
+            toolContext: { session: this },
+            signal,
+            onSentence: speakSentence,
+        });
+
+        if (aiResponse) {
+            logger.info(`AI response: ${aiResponse}`);
+            turn.reply = aiResponse;
+            if (turn.textReply) turn.textReply(aiResponse);
+        } else if (!signal.aborted) {
+            logger.warn("No response from LLM");
+            metrics.skippedUtterances.inc({ reason: "llm_null" });
+        }
+
+        await Promise.all(playbacks);
+
+        if (!signal.aborted && turn.spokenSentences.length > 0) {
+            this.emit("reply", {
+                text: turn.spokenSentences.join(" "),
+                interrupted: false,
+                time: Date.now(),
+            });
+        }
+    }
+
+    /**
+     * Process the audio recorded from a user: start transcribing it right away
+     * and queue it for the next turn
+     * @param {string} userId - Discord user ID
+     * @param {string} tempFileName - Path to the temporary audio file
+     * @returns {Promise<void>} - Resolves once the audio has been transcribed
+     */
+    async processUserAudio(userId, tempFileName) {
+        // Keep the turn ID of the captured segment, if there is one
+        const logContext = {
+            guildId: this.guildId,
+            userId,
+            turnId: getLogContext().turnId || createTurnId(),
+        };
+
+        // Transcribe in parallel with other utterances and the current turn
+        await runWithLogContext(logContext, () =>
+            this.queueUtterance(
+                userId,
+                speechToText.transcribeAudio(tempFileName),
+            ),
+        );
+    }
+
+    /**
+     * Add a chat message from the linked text channel to the conversation
+     * @param {string} userId - Discord user ID of the author
+     * @param {string} text - Message text
+     * @param {object} options - Message details
+     * @param {boolean} options.addressed - Whether the bot was mentioned
+     * @param {Function} options.reply - Sends a text reply to the message
+     * @returns {Promise<void>}
+     */
+    async processTextMessage(userId, text, { addressed, reply }) {
+        const logContext = {
+            guildId: this.guildId,
+            userId,
+            turnId: createTurnId(),
+        };
+
+        await runWithLogContext(logContext, () =>
+            this.queueUtterance(
+                userId,
+                Promise.resolve({ text, language: null }),
+                {
+                    source: "text",
+                    addressed,
+                    reply,
+                },
+            ),
+        );
+    }
+
+    /**
+     * Queue a user's utterance for the next turn
+     * @param {string} userId - Discord user ID
+     * @param {Promise<object|null>} transcription - The pending transcription, with `text` and `language`
+     * @param {object} [details] - Where the utterance came from
+     * @param {string} [details.source] - "voice" or "text"
+     * @param {boolean} [details.addressed] - Whether the bot was addressed directly
+     * @param {Function} [details.reply] - Sends a text reply, for chat messages
+     * @returns {Promise<void>} - Resolves once the audio has been transcribed
+     */
+    async queueUtterance(
+        userId,
+        transcription,
+        { source = "voice", addressed = false, reply = null } = {},
+    ) {
+        const displayName = this.getDisplayName(userId);
+        if (!displayName) return;
+
+        const utterance = {
+            userId,
+            displayName,
+            endedAt: Date.now(),
+            transcription,
+            source,
+            addressed,
+            reply,
+            // The turn ID and user the utterance's log lines carry
+            logContext: getLogContext(),
+        };
+
+        if (this.isBusy()) {
+            logger.debug(`Bot is busy, queueing utterance from ${displayName}`);
+        }
+
+        this.utteranceQueue.push(utterance);
+        this.processQueue();
+
+        await utterance.transcription;
+    }
+
+    /**
+     * Respond to queued utterances until the queue is empty or a turn is running
+     */
+    async processQueue() {
+        while (!this.currentTurn && this.utteranceQueue.size > 0) {
+            this.utteranceQueue.pruneExpired();
+
+            // Either answer everything said so far at once, or one utterance at a time
+            const utterances =
+                config.turnQueue.mode === "merge"
+                    ? this.utteranceQueue.takeAll()
+                    : [this.utteranceQueue.takeNext()].filter(Boolean);
+
+            if (utterances.length === 0) return;
+
+            await runWithLogContext(turnLogContext(utterances), () =>
+                this.runTurn(utterances),
+            );
+        }
+    }
+
+    /**
+     * Run one conversation turn for a set of utterances
+     * @param {object[]} utterances - Queued utterances, ordered by when they ended
+     */
+    async runTurn(utterances) {
+        const turn = {
+            turnId: getLogContext().turnId,
+            userIds: utterances.map((utterance) => utterance.userId),
+            controller: new AbortController(),
+            messageAdded: false,
+            responding: false,
+            spokenSentences: [],
+            playingText: "",
+            interruptedAtMs: 0,
+            voice: this.settings.voice,
+            language: null,
+            startedAt: Date.now(),
+            utterances: [],
+            reply: null,
+            // When the last voice utterance ended, for the response latency
+            speechEndedAt: Math.max(
+                0,
+                ...utterances
+                    .filter((utterance) => utterance.source === "voice")
+                    .map((utterance) => utterance.endedAt),
+            ),
+            firstAudioAt: null,
+        };
+        const { signal } = turn.controller;
+        this.currentTurn = turn;
+
+        try {
+            // 1. Wait for the transcriptions
+            const transcriptions = await Promise.all(
+                utterances.map((utterance) => utterance.transcription),
+            );
+
+            // 2. Add user messages to LLM conversation history, even if the
+            // bot does not answer them or was stopped meanwhile, so it has
+            // context once addressed
+            const transcripts = [];
+            let lastSpeaker = null;
+            utterances.forEach(
+                ({ userId, displayName, endedAt, source }, index) => {
+                    const result = transcriptions[index];
+                    const transcription = result && result.text;
+
+                    // Skip if no transcription
+                    if (!transcription || transcription.trim() === "") {
+                        logger.debug(
+                            `No valid transcription for ${displayName}`,
+                        );
+                        metrics.skippedUtterances.inc({
+                            reason: "empty_transcription",
+                        });
+                        return;
+                    }
+
+                    logger.info(
+                        `Transcription from ${displayName}: ${transcription}`,
+                    );
+                    this.conversation.addUserMessage(
+                        displayName,
+                        transcription,
+                    );
+                    const utterance = {
+                        userId,
+                        displayName,
+                        text: transcription,
+                        time: endedAt,
+                        source,
+                        language: result.language,
+                    };
+                    this.emit("utterance", utterance);
+                    turn.utterances.push(utterance);
+                    transcripts.push(transcription);
+                    lastSpeaker = { userId, language: result.language };
+                    turn.messageAdded = true;
+                },
+            );
+
+            if (!turn.messageAdded || signal.aborted) return;
+
+            // 3. Check the response policy, unless the bot was mentioned
+            const respond =
+                utterances.some((utterance) => utterance.addressed) ||
+                (await responsePolicy.shouldRespond(
+                    this.settings.responsePolicy,
+                    { transcripts, conversation: this.conversation, signal },
+                ));
+
+            if (signal.aborted) return;
+            if (!respond) {
+                logger.debug("Not addressed, staying quiet");
+                metrics.skippedUtterances.inc(
+                    { reason: "not_addressed" },
+                    turn.utterances.length,
+                );
+                return;
+            }
+            turn.responding = true;
+
+            // Reply in the last speaker's preferred language, or the one they
+            // spoke in when several are detected, with a matching voice
+            const profile = getProfileStore().get(lastSpeaker.userId);
+            const language =
+                profile.language ||
+                (config.stt.languages.length > 1 ? lastSpeaker.language : null);
+
+            turn.language = language ? languageName(language) : null;
+            turn.voice =
+                (profile.voice && textToSpeech.checkVoice(profile.voice)
+                    ? profile.voice
+                    : null) ||
+                textToSpeech.getVoiceForLanguage(language) ||
+                this.settings.voice;
+
+            // 4. Generate the reply and speak it in the voice channel,
+            // post it as text, or both
+            const { speak, textReply } = getReplyTargets(utterances);
+            turn.textReply = textReply;
+
+            if (!speak) {
+                await this.writeResponse(turn);
+            } else if (config.app.streamResponses) {
+                await this.speakStreamedResponse(turn);
+            } else {
+                await this.speakResponse(turn);
+            }
+        } catch (error) {
+            logger.error("Error processing user audio:", error);
+        } finally {
+            if (signal.aborted) {
+                this.recordInterruptedTurn(turn);
+            }
+            this.recordTurnSummary(turn);
+            if (this.currentTurn === turn) {
+                this.currentTurn = null;
+            }
+        }
+    }
+
+    /**
+     * Record the response latency when a turn's first audio starts playing
+     * @param {object} turn - The turn being processed
+     */
+    recordFirstAudio(turn) {
+        if (turn.firstAudioAt) return;
+        turn.firstAudioAt = Date.now();
+
+        if (turn.speechEndedAt) {
+            metrics.responseLatencySeconds.observe(
+                (turn.firstAudioAt - turn.speechEndedAt) / 1000,
+            );
+        }
+    }
+
+    /**
+     * Keep a summary of a finished turn for the control API
+     * @param {object} turn - The finished turn
+     */
+    recordTurnSummary(turn) {
+        let outcome = "answered";
+        if (turn.controller.signal.aborted) {
+            outcome = "interrupted";
+        } else if (!turn.messageAdded) {
+            outcome = "no speech";
+        } else if (!turn.responding) {
+            outcome = "not answered";
+        } else if (!turn.reply) {
+            outcome = "failed";
+        }
+
+        this.recentTurns.push({
+            turnId: turn.turnId,
+            startedAt: turn.startedAt,
+            endedAt: Date.now(),
+            utterances: turn.utterances,
+            reply: turn.reply,
+            outcome,
+        });
+        if (this.recentTurns.length > RECENT_TURNS) {
+            this.recentTurns.shift();
+        }
+    }
+
+    /**
+     * Check a segment of a user's speech and pass it on for transcription
+     * @param {string} userId - Discord user ID
+     * @param {Buffer} pcm - The segment as captured PCM
+     * @param {object} [recognition] - Streaming recognition already fed with the segment
+     */
+    async processSegment(userId, pcm, recognition = null) {
+        metrics.recordingSeconds.observe(
+            pcm.length / bytesPerMs(CAPTURE_FORMAT) / 1000,
+        );
+        const { pcm: speech, speechMs, reason } = analyzeUtterance(pcm);
+
+        // Skip the STT call for clips without enough speech
+        if (!speech) {
+            logger.debug(`Dropped audio from ${userId}: ${reason}`);
+            metrics.skippedUtterances.inc({ reason: "no_speech" });
+            if (recognition) recognition.abort();
+            return;
+        }
+
+        logger.debug(`Utterance from ${userId} with ${speechMs}ms of speech`);
+
+        // The streamed transcript is ready as soon as the recognizer finishes
+        if (recognition) {
+            try {
+                await this.queueUtterance(userId, recognition.finish());
+            } catch (error) {
+                logger.error("Error processing utterance:", error);
+            }
+            return;
+        }
+
+        // Create temp file for audio
+        const tempFileName = tempFileManager.createTempFilePath(
+            `voice_${userId}`,
+            "pcm",
+        );
+        tempFileManager.registerTempFile(tempFileName);
+
+        try {
+            await fs.promises.writeFile(tempFileName, speech);
+
+            // Process the audio file
+            await this.processUserAudio(userId, tempFileName);
+        } catch (error) {
+            logger.error("Error processing utterance:", error);
+        } finally {
+            // Clean up temporary file after processing
+            setTimeout(() => {
+                tempFileManager.deleteTempFile(tempFileName);
+            }, 1000);
+        }
+    }
+
+    /**
+     * Start a streaming recognition for a user, reporting interim results
+     * @param {string} userId - Discord user ID
+     * @param {string} displayName - The user's display name
+     * @returns {object|null} - The recognition stream, or null if error
+     */
+    startRecognition(userId, displayName) {
+        const recognition = speechToText.createRecognitionStream();
+        if (!recognition) return null;
+
+        recognition.on(
+            "interim",
+            bindLogContext((text) => {
+                logger.debug(
+                    `Interim transcription from ${displayName}: ${text}`,
+                );
+                this.emit("interim", { userId, displayName, text });
+            }),
+        );
+
+        return recognition;
+    }
+
+    /**
+     * Listen to a user speaking in the voice channel
+     * @param {string} userId - Discord user ID
+     * @param {boolean} speaking - Whether the user is speaking
+     */
+    listenToUser(userId, speaking) {
+        if (!speaking) return;
+
+        const displayName = this.getDisplayName(userId);
+        if (!displayName) return;
+
+        // Users who opted out are never recorded or transcribed
+        if (getProfileStore().get(userId).optOut) return;
+
+        logger.debug(`${displayName} is speaking`);
+
+        if (this.settings.muted) return;
+
+        const startedWhileBusy = this.isBusy();
+
+        // Get audio stream with voice activity detection
+        const audioStream = this.connection.receiver.subscribe(userId, {
+            end: {
+                behavior: EndBehaviorType.AfterSilence,
+                duration: config.app.vadSilenceThreshold,
+            },
+        });
+
+        // Decode the Opus packets into PCM
+        const opusDecoder = this.createDecoder();
+
+        // Track active stream
+        const streamData = {
+            opusDecoder,
+            userId,
+            startTime: Date.now(),
+            recognition: null,
+            // ID of the segment being captured, once streaming recognition started it
+            turnId: null,
+        };
+        this.activeStreams.set(audioStream, streamData);
+
+        // Cut the decoded audio into utterances, splitting long monologues
+        // Stream events lose the async context, so bind the callbacks to
+        // keep the user and guild on their log lines
+        const segmenter = new UtteranceSegmenter(
+            bindLogContext((pcm) => {
+                const { recognition } = streamData;
+                const turnId = streamData.turnId || createTurnId();
+                streamData.recognition = null;
+                streamData.turnId = null;
+
+                runWithLogContext({ turnId }, () =>
+                    this.processSegment(userId, pcm, recognition),
+                );
+            }),
+        );
+
+        // Recognize each segment while it is captured, starting at its first speech
+        if (speechToText.supportsStreaming()) {
+            const leadInFrames = Math.ceil(config.vad.paddingMs / FRAME_MS);
+
+            segmenter.onFrame = bindLogContext((frame, isSpeech) => {
+                if (!streamData.recognition) {
+                    if (!isSpeech) return;
+                    streamData.turnId = createTurnId();
+                    streamData.recognition = runWithLogContext(
+                        { turnId: streamData.turnId },
+                        () => this.startRecognition(userId, displayName),
+                    );
+                    if (!streamData.recognition) return;
+
+                    // Include the quiet lead-in so soft word onsets aren't lost
+                    for (const previous of segmenter.frames.slice(
+                        -leadInFrames - 1,
+                        -1,
+                    )) {
+                        streamData.recognition.write(previous);
+                    }
+                }
+                streamData.recognition.write(frame);
+            });
+        }
+
+        audioStream.pipe(opusDecoder);
+        opusDecoder.on("data", (chunk) => segmenter.push(chunk));
+
+        // Interrupt the bot once the user has talked over its reply for long
+        // enough. A turn still waiting for transcriptions is left to finish,
+        // so what the others said isn't lost.
+        if (startedWhileBusy && config.bargeIn.enabled) {
+            const onData = bindLogContext(() => {
+                // Only speech counts, so background noise doesn't interrupt
+                if (segmenter.speechMs < config.bargeIn.minSpeechMs) return;
+                if (!this.isResponding()) return;
+
+                opusDecoder.removeListener("data", onData);
+                this.interrupt(`${displayName} talked over it`);
+            });
+
+            opusDecoder.on("data", onData);
+        }
+
+        // When the user stops speaking (silence detected), the decoder is
+        // ended by the pipe and the last segment is processed
+        opusDecoder.on("end", () => {
+            this.activeStreams.delete(audioStream);
+            segmenter.end();
+        });
+
+        // Handle errors on the stream
+        audioStream.on(
+            "error",
+            bindLogContext((error) => {
+                logger.error("Error in audio stream:", error);
+
+                try {
+                    opusDecoder.destroy();
+                    if (streamData.recognition) streamData.recognition.abort();
+                    this.activeStreams.delete(audioStream);
+                } catch (cleanupError) {
+                    logger.error("Error during stream cleanup:", cleanupError);
+                }
+            }),
+        );
+    }
+
+    /**
+     * Close all active audio streams, discarding what was not processed yet
+     */
+    closeStreams() {
+        for (const [audioStream, streamData] of this.activeStreams.entries()) {
+            try {
+                logger.debug(`Closing stream for ${streamData.userId}...`);
+
+                // Destroy rather than end, so the partial utterance is dropped
+                audioStream.destroy();
+                streamData.opusDecoder.destroy();
+                if (streamData.recognition) streamData.recognition.abort();
+            } catch (error) {
+                logger.error(
+                    `Error closing stream for ${streamData.userId}:`,
+                    error,
+                );
+            }
+        }
+
+        this.activeStreams.clear();
+    }
+
+    /**
+     * Get the current state of the voice connection and conversation
+     * @returns {object} - Status summary
+     */
+    getStatus() {
+        return {
+            guildId: this.guildId,
+            channelName: this.channel.name,
+            connectionStatus: this.connection
+                ? this.connection.state.status
+                : null,
+            muted: this.settings.muted,
+            busy: this.isBusy(),
+            queuedUtterances: this.utteranceQueue.size,
+            persona: this.settings.persona,
+            model: this.settings.model,
+            voice: this.settings.voice,
+            responsePolicy: this.settings.responsePolicy,
+        };
+    }
+
+    /**
+     * Leave the voice channel and release everything the session holds
+     */
+    close() {
+        if (this.isClosed) return;
+        this.isClosed = true;
+
+        logger.info(`Leaving voice channel: ${this.channel.name}`);
+        this.utteranceQueue.clear();
+        this.stopSpeaking();
+        this.closeStreams();
+
+        if (this.connection) {
+            this.connection.destroy();
+            this.connection = null;
+        }
+
+        this.emit("close");
+    }
+}
+
+module.exports = { VoiceSession };
@@ -0,0 +1,502 @@
+/**
+ * Local HTTP API for health checks, session state and runtime control
+ */
+const http = require("http");
+const crypto = require("crypto");
+const {
+    createLogger,
+    isLogLevel,
+    setLogLevel,
+    getLogLevels,
+} = require("../utils/logger");
+const config = require("../utils/config");
+const configLoader = require("../utils/config-loader");
+const discordClient = require("../discord/client");
+const llmClient = require("../ai/llm-client");
+const speechToText = require("../ai/speech-to-text");
+const textToSpeech = require("../ai/text-to-speech");
+const personas = require("../ai/personas");
+const { getPolicyNames } = require("../ai/response-policy");
+const metrics = require("../utils/metrics");
+
+const logger = createLogger("ControlAPI");
+
+// How long each backend gets to answer a readiness check
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// Largest request body accepted
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Longest text the say endpoint speaks
+const MAX_SAY_LENGTH = 1000;
+
+/**
+ * An error answered with a specific HTTP status
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message for the response
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Build a JSON response
+ * @param {object} body - Response body
+ * @param {number} [status] - HTTP status code
+ * @returns {object} - `status` and `body`
+ */
+function json(body, status = 200) {
+    return { status, body };
+}
+
+/**
+ * Build a plain text response
+ * @param {string} body - Response body
+ * @param {string} contentType - Content type of the body
+ * @returns {object} - `status`, `body` and `contentType`
+ */
+function text(body, contentType) {
+    return { status: 200, body, contentType };
+}
+
+/**
+ * Check the request's bearer token in constant time
+ * @param {object} request - HTTP request
+ * @returns {boolean} - Whether the request carries the configured token
+ */
+function isAuthorized(request) {
+    const expected = Buffer.from(`Bearer ${config.controlApi.token}`);
+    const actual = Buffer.from(request.headers.authorization || "");
+
+    return (
+        actual.length === expected.length &&
+        crypto.timingSafeEqual(actual, expected)
+    );
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {object} request - HTTP request
+ * @returns {Promise<object>} - The parsed body, empty if there is none
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+
+        request.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new HttpError(413, "Request body is too large"));
+                request.destroy();
+            }
+        });
+
+        request.on("end", () => {
+            if (body.trim() === "") {
+                resolve({});
+                return;
+            }
+            let parsed;
+            try {
+                parsed = JSON.parse(body);
+            } catch (error) {
+                reject(new HttpError(400, "Request body is not valid JSON"));
+                return;
+            }
+
+            if (
+                typeof parsed !== "object" ||
+                parsed === null ||
+                Array.isArray(parsed)
+            ) {
+                reject(
+                    new HttpError(400, "Request body must be a JSON object"),
+                );
+                return;
+            }
+            resolve(parsed);
+        });
+
+        request.on("error", reject);
+    });
+}
+
+/**
+ * Get a guild's voice session
+ * @param {string} guildId - Discord guild ID
+ * @returns {object} - The voice session
+ */
+function findSession(guildId) {
+    const session = discordClient.getSession(guildId);
+    if (!session) {
+        throw new HttpError(404, `No voice session in guild ${guildId}`);
+    }
+    return session;
+}
+
+/**
+ * Change runtime settings, answering invalid values with 400
+ * @param {object} changes - New values keyed by setting path
+ * @returns {object} - The runtime settings after the change
+ */
+function updateSettings(changes) {
+    try {
+        return configLoader.setRuntimeSettings(changes);
+    } catch (error) {
+        if (error instanceof configLoader.ConfigError) {
+            throw new HttpError(400, error.problems.join("; "));
+        }
+        throw error;
+    }
+}
+
+/**
+ * Change the global log level and/or per-module levels
+ * @param {object} changes - `level`, and/or `modules` with levels keyed by
+ *   module name (null goes back to the global level)
+ * @returns {object} - The new log levels
+ */
+function updateLogLevels(changes) {
+    const { level, modules = {} } = changes;
+
+    // Check everything before changing anything
+    if ("level" in changes && !isLogLevel(level)) {
+        throw new HttpError(400, "level must be ERROR, WARN, INFO or DEBUG");
+    }
+    if (typeof modules !== "object" || modules === null) {
+        throw new HttpError(400, "modules must be an object");
+    }
+    for (const [module, moduleLevel] of Object.entries(modules)) {
+        if (moduleLevel !== null && !isLogLevel(moduleLevel)) {
+            throw new HttpError(
+                400,
+                `Level for ${module} must be ERROR, WARN, INFO, DEBUG or null`,
+            );
+        }
+    }
+
+    if ("level" in changes) setLogLevel(level);
+    for (const [module, moduleLevel] of Object.entries(modules)) {
+        setLogLevel(moduleLevel, module);
+    }
+
+    logger.info(`Log levels set to ${JSON.stringify(getLogLevels())}`);
+    return getLogLevels();
+}
+
+/**
+ * Check Discord and every backend
+ * @returns {Promise<object>} - Readiness report, 503 if anything is down
+ */
+async function checkReadiness() {
+    const [llm, stt, tts] = await Promise.all([
+        llmClient.checkHealth(HEALTH_CHECK_TIMEOUT_MS),
+        speechToText.checkHealth(HEALTH_CHECK_TIMEOUT_MS),
+        textToSpeech.checkHealth(HEALTH_CHECK_TIMEOUT_MS),
+    ]);
+
+    const client = discordClient.getClient();
+    const loggedIn = client.isReady();
+    const voice = discordClient.getSessions().map((session) => {
+        const status = session.getStatus();
+        return {
+            guildId: status.guildId,
+            channelName: status.channelName,
+            connectionStatus: status.connectionStatus,
+            ok: status.connectionStatus === "ready",
+        };
+    });
+
+    const ready =
+        loggedIn &&
+        llm.ok &&
+        stt.ok &&
+        tts.ok &&
+        voice.every((connection) => connection.ok);
+
+    return json(
+        {
+            ready,
+            discord: { loggedIn, user: loggedIn ? client.user.tag : null },
+            voice,
+            llm,
+            stt,
+            tts,
+        },
+        ready ? 200 : 503,
+    );
+}
+
+/**
+ * Change a session's settings
+ * @param {object} session - The voice session
+ * @param {object} changes - `model`, `voice`, `responsePolicy`, `muted` and/or
+ *   `persona` (a persona name, or null for the default character)
+ * @returns {object} - The session's new status
+ */
+function updateSession(session, changes) {
+    // Check everything before changing anything
+    let persona = null;
+    if ("persona" in changes && changes.persona !== null) {
+        persona = personas.getPersona(String(changes.persona));
+        if (!persona) {
+            throw new HttpError(400, `No persona called ${changes.persona}`);
+        }
+    }
+
+    const policies = getPolicyNames();
+    if (
+        "responsePolicy" in changes &&
+        !policies.includes(changes.responsePolicy)
+    ) {
+        throw new HttpError(
+            400,
+            `responsePolicy must be one of ${policies.join(", ")}`,
+        );
+    }
+
+    for (const key of ["model", "voice"]) {
+        if (
+            key in changes &&
+            (typeof changes[key] !== "string" || changes[key] === "")
+        ) {
+            throw new HttpError(400, `${key} must be a non-empty string`);
+        }
+    }
+
+    if ("voice" in changes && !textToSpeech.checkVoice(changes.voice)) {
+        throw new HttpError(
+            400,
+            `voice must be a voice of the ${config.tts.provider} TTS provider`,
+        );
+    }
+
+    if ("muted" in changes && typeof changes.muted !== "boolean") {
+        throw new HttpError(400, "muted must be a boolean");
+    }
+
+    // A persona sets the model and voice, so apply it first
+    if ("persona" in changes) session.setPersona(persona);
+    if ("responsePolicy" in changes) {
+        session.settings.responsePolicy = changes.responsePolicy;
+    }
+    if ("model" in changes) session.settings.model = changes.model;
+    if ("voice" in changes) session.settings.voice = changes.voice;
+    if ("muted" in changes) session.setMuted(changes.muted);
+
+    return session.getStatus();
+}
+
+/**
+ * Routes: method, path pattern (groups become the handler's params) and
+ * a handler called with the params and the request body
+ */
+const routes = [
+    {
+        method: "GET",
+        path: /^\/health$/,
+        handler: async () =>
+            json({
+                status: "ok",
+                uptimeSeconds: Math.round(process.uptime()),
+            }),
+    },
+    {
+        method: "GET",
+        path: /^\/ready$/,
+        handler: checkReadiness,
+    },
+    {
+        method: "GET",
+        path: /^\/logging$/,
+        handler: async () => json(getLogLevels()),
+    },
+    {
+        method: "PATCH",
+        path: /^\/logging$/,
+        handler: async (params, changes) => json(updateLogLevels(changes)),
+    },
+    {
+        method: "GET",
+        path: /^\/metrics$/,
+        handler: async () =>
+            text(metrics.renderMetrics(), "text/plain; version=0.0.4"),
+    },
+    {
+        method: "GET",
+        path: /^\/sessions$/,
+        handler: async () =>
+            json(
+                discordClient
+                    .getSessions()
+                    .map((session) => session.getStatus()),
+            ),
+    },
+    {
+        method: "GET",
+        path: /^\/sessions\/(\d+)$/,
+        handler: async ([guildId]) => json(findSession(guildId).getStatus()),
+    },
+    {
+        method: "PATCH",
+        path: /^\/sessions\/(\d+)$/,
+        handler: async ([guildId], body) =>
+            json(updateSession(findSession(guildId), body)),
+    },
+    {
+        method: "GET",
+        path: /^\/sessions\/(\d+)\/turns$/,
+        handler: async ([guildId]) => json(findSession(guildId).recentTurns),
+    },
+    {
+        method: "POST",
+        path: /^\/sessions\/(\d+)\/reset$/,
+        handler: async ([guildId]) => {
+            findSession(guildId).conversation.reset();
+            return json({ reset: true });
+        },
+    },
+    {
+        method: "POST",
+        path: /^\/sessions\/(\d+)\/say$/,
+        handler: async ([guildId], { text }) => {
+            const session = findSession(guildId);
+
+            if (typeof text !== "string" || text.trim() === "") {
+                throw new HttpError(400, "text must be a non-empty string");
+            }
+            if (text.length > MAX_SAY_LENGTH) {
+                throw new HttpError(
+                    400,
+                    `text must be at most ${MAX_SAY_LENGTH} characters`,
+                );
+            }
+            if (!session.connection) {
+                throw new HttpError(409, "The session is not connected");
+            }
+            if (session.settings.muted) {
+                throw new HttpError(409, "The session is muted");
+            }
+
+            return json({ played: await session.say(text) });
+        },
+    },
+    {
+        method: "GET",
+        path: /^\/config$/,
+        handler: async () => json(configLoader.getRuntimeSettings()),
+    },
+    {
+        method: "PATCH",
+        path: /^\/config$/,
+        handler: async (params, changes) => json(updateSettings(changes)),
+    },
+    {
+        method: "POST",
+        path: /^\/config\/reload$/,
+        handler: async () => {
+            if (!configLoader.reloadConfig()) {
+                throw new HttpError(
+                    409,
+                    "The config file is invalid, kept the current configuration (see the log)",
+                );
+            }
+            return json(configLoader.getRuntimeSettings());
+        },
+    },
+];
+
+/**
+ * Handle one API request
+ * @param {object} request - HTTP request
+ * @param {object} response - HTTP response
+ */
+async function handleRequest(request, response) {
+    const send = ({ status, body, contentType }) => {
+        response.writeHead(status, {
+            "Content-Type": contentType || "application/json",
+        });
+        response.end(contentType ? body : JSON.stringify(body));
+    };
+
+    try {
+        if (!isAuthorized(request)) {
+            throw new HttpError(401, "Missing or invalid bearer token");
+        }
+
+        const { pathname } = new URL(request.url, "http://localhost");
+        const matching = routes.filter((route) => route.path.test(pathname));
+        if (matching.length === 0) {
+            throw new HttpError(404, "Not found");
+        }
+
+        const route = matching.find((entry) => entry.method === request.method);
+        if (!route) {
+            throw new HttpError(405, "Method not allowed");
+        }
+
+        const params = pathname.match(route.path).slice(1);
+        const body = await readBody(request);
+
+        logger.debug(`${request.method} ${pathname}`);
+        send(await route.handler(params, body));
+    } catch (error) {
+        if (error instanceof HttpError) {
+            send(json({ error: error.message }, error.status));
+            return;
+        }
+
+        logger.error(`Error handling ${request.method} ${request.url}:`, error);
+        send(json({ error: "Internal error" }, 500));
+    }
+}
+
+// The running server, if the API is enabled
+let server = null;
+
+/**
+ * Start the control API if a port is configured
+ */
+function start() {
+    const { port, host, token } = config.controlApi;
+    if (!port) return;
+
+    if (!token) {
+        logger.error("CONTROL_API_TOKEN must be set to enable the control API");
+        return;
+    }
+
+    server = http.createServer(handleRequest);
+    server.on("error", (error) => {
+        logger.error("Control API server error:", error);
+    });
+    server.listen(port, host, () => {
+        logger.info(`Control API listening on http://${host}:${port}`);
+    });
+}
+
+/**
+ * Stop the control API
+ * @returns {Promise<void>}
+ */
+function stop() {
+    if (!server) return Promise.resolve();
+
+    const closing = server;
+    server = null;
+
+    return new Promise((resolve) => {
+        closing.close(() => resolve());
+        closing.closeAllConnections();
+    });
+}
+
+module.exports = {
+    start,
+    stop,
+};
@@ -0,0 +1,65 @@
+/**
+ * Persistent conversation history, selected with HISTORY_STORE
+ */
+const { createLogger } = require("../utils/logger");
+const config = require("../utils/config");
+const { JsonHistoryStore } = require("./json-history-store");
+const { SqliteHistoryStore } = require("./sqlite-history-store");
+
+const logger = createLogger("HistoryStore");
+
+// The store in use, created on first use (null when persistence is off)
+let store;
+
+/**
+ * Get the configured history store, creating it if needed
+ * @returns {object|null} - History store, or null if history is not persisted
+ */
+function getHistoryStore() {
+    if (store !== undefined) return store;
+
+    const { type, path: storePath, retention } = config.history;
+
+    switch (type) {
+        case "json":
+            store = new JsonHistoryStore({ directory: storePath, retention });
+            break;
+        case "sqlite":
+            store = new SqliteHistoryStore({ filePath: storePath, retention });
+            break;
+        case "none":
+            store = null;
+            break;
+        default:
+            throw new Error(`Unknown history store: ${type}`);
+    }
+
+    logger.info(`Using history store: ${type}`);
+    return store;
+}
+
+/**
+ * Save what the history store has not written yet, before shutting down
+ * @returns {Promise<void>}
+ */
+async function flushHistoryStore() {
+    if (store && typeof store.flush === "function") {
+        await store.flush();
+    }
+}
+
+/**
+ * Build the key a conversation's history is stored under
+ * @param {string} guildId - Discord guild ID
+ * @param {string} channelId - Discord channel ID
+ * @returns {string} - Conversation key
+ */
+function conversationKey(guildId, channelId) {
+    return `${guildId}:${channelId}`;
+}
+
+module.exports = {
+    getHistoryStore,
+    flushHistoryStore,
+    conversationKey,
+};
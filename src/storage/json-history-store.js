@@ -0,0 +1,225 @@
+/**
+ * Conversation history store keeping one JSON file per conversation
+ */
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger("JsonHistoryStore");
+
+// How long changes are collected before a conversation's file is rewritten
+const WRITE_DELAY_MS = 1000;
+
+/**
+ * Take the most recent messages
+ * @param {object[]} messages - Messages, oldest first
+ * @param {number} count - How many to take; 0 takes none, like SQL's LIMIT 0
+ * @returns {object[]} - The last `count` messages
+ */
+function lastMessages(messages, count) {
+    // slice(-0) would return every message
+    return count > 0 ? messages.slice(-count) : [];
+}
+
+/**
+ * Conversations are kept in memory once read. Changes are written to the
+ * files in the background, a conversation at most once per WRITE_DELAY_MS,
+ * so adding a message never waits on the disk; flush() writes what is left.
+ */
+class JsonHistoryStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string} options.directory - Directory holding the history files
+     * @param {object} options.retention - Retention limits
+     * @param {number} options.retention.maxAgeDays - Drop messages older than this, 0 keeps them forever
+     * @param {number} options.retention.maxMessages - Keep at most this many messages per conversation
+     */
+    constructor({ directory, retention }) {
+        this.directory = directory;
+        this.retention = retention;
+
+        // Messages of the conversations read so far, keyed by conversation
+        this.conversations = new Map();
+        // Scheduled writes, keyed by conversation
+        this.writeTimers = new Map();
+        // File writes and deletions, one after another so they land in order
+        this.writing = Promise.resolve();
+
+        if (!fs.existsSync(directory)) {
+            logger.info(`Creating history directory: ${directory}`);
+            fs.mkdirSync(directory, { recursive: true });
+        }
+    }
+
+    /**
+     * Get the file holding a conversation's history
+     * @param {string} key - Conversation key
+     * @returns {string} - File path
+     */
+    filePath(key) {
+        // Keys contain ":" which is not allowed in file names everywhere
+        return path.join(this.directory, `${key.replace(/[^\w-]/g, "_")}.json`);
+    }
+
+    /**
+     * Read all stored messages of a conversation from its file
+     * @param {string} key - Conversation key
+     * @returns {object[]} - Stored messages, oldest first
+     */
+    read(key) {
+        const filePath = this.filePath(key);
+        if (!fs.existsSync(filePath)) return [];
+
+        try {
+            return JSON.parse(fs.readFileSync(filePath, "utf8"));
+        } catch (error) {
+            logger.error(`Failed to read history file: ${filePath}`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Apply the retention limits to a conversation's messages
+     * @param {object[]} messages - Messages, oldest first
+     * @returns {object[]} - The messages to keep
+     */
+    retain(messages) {
+        const { maxAgeDays, maxMessages } = this.retention;
+        const cutoff = maxAgeDays
+            ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000
+            : 0;
+
+        return lastMessages(
+            messages.filter((message) => message.timestamp >= cutoff),
+            maxMessages,
+        );
+    }
+
+    /**
+     * Get a conversation's messages, reading its file the first time
+     * @param {string} key - Conversation key
+     * @returns {object[]} - Messages within the retention limits, oldest first
+     */
+    messages(key) {
+        if (!this.conversations.has(key)) {
+            this.conversations.set(key, this.read(key));
+        }
+
+        const messages = this.retain(this.conversations.get(key));
+        this.conversations.set(key, messages);
+        return messages;
+    }
+
+    /**
+     * Write a conversation's file once changes stop coming in for a moment
+     * @param {string} key - Conversation key
+     */
+    scheduleWrite(key) {
+        if (this.writeTimers.has(key)) return;
+
+        const timer = setTimeout(() => this.write(key), WRITE_DELAY_MS);
+        // Pending writes don't keep the process alive; flush() saves them
+        timer.unref();
+        this.writeTimers.set(key, timer);
+    }
+
+    /**
+     * Write a conversation's messages to its file in the background
+     * @param {string} key - Conversation key
+     * @returns {Promise<void>} - Resolves once the file is written
+     */
+    write(key) {
+        clearTimeout(this.writeTimers.get(key));
+        this.writeTimers.delete(key);
+
+        const filePath = this.filePath(key);
+        const data = JSON.stringify(this.messages(key));
+        this.writing = this.writing
+            .then(() => fs.promises.writeFile(filePath, data))
+            .catch((error) => {
+                logger.error(
+                    `Failed to write history file: ${filePath}`,
+                    error,
+                );
+            });
+        return this.writing;
+    }
+
+    /**
+     * Write every conversation with changes not yet saved, e.g. on shutdown
+     * @returns {Promise<void>} - Resolves once the files are written
+     */
+    async flush() {
+        for (const key of [...this.writeTimers.keys()]) {
+            this.write(key);
+        }
+        await this.writing;
+    }
+
+    /**
+     * Add a message to a conversation
+     * @param {string} key - Conversation key
+     * @param {object} message - Message with role and content
+     */
+    append(key, message) {
+        const messages = this.messages(key);
+        messages.push({ ...message, timestamp: Date.now() });
+        this.conversations.set(key, this.retain(messages));
+        this.scheduleWrite(key);
+    }
+
+    /**
+     * Replace the most recent message of a conversation
+     * @param {string} key - Conversation key
+     * @param {object} message - Message with role and content
+     */
+    updateLast(key, message) {
+        const messages = this.messages(key);
+        if (messages.length === 0) {
+            this.append(key, message);
+            return;
+        }
+
+        const last = messages[messages.length - 1];
+        messages[messages.length - 1] = {
+            ...message,
+            timestamp: last.timestamp,
+        };
+        this.scheduleWrite(key);
+    }
+
+    /**
+     * Load the most recent messages of a conversation
+     * @param {string} key - Conversation key
+     * @param {number} limit - Maximum number of messages
+     * @returns {object[]} - Messages with role and content, oldest first
+     */
+    load(key, limit) {
+        return lastMessages(this.messages(key), limit).map(
+            ({ role, content }) => ({ role, content }),
+        );
+    }
+
+    /**
+     * Delete a conversation's history
+     * @param {string} key - Conversation key
+     */
+    clear(key) {
+        clearTimeout(this.writeTimers.get(key));
+        this.writeTimers.delete(key);
+        this.conversations.set(key, []);
+
+        // After any write still in progress, so it doesn't bring the file back
+        const filePath = this.filePath(key);
+        this.writing = this.writing
+            .then(() => fs.promises.rm(filePath, { force: true }))
+            .catch((error) => {
+                logger.error(
+                    `Failed to delete history file: ${filePath}`,
+                    error,
+                );
+            });
+    }
+}
+
+module.exports = { JsonHistoryStore };
@@ -0,0 +1,124 @@
+/**
+ * Per-user profiles: nickname, reply language, TTS voice and transcription opt-out
+ */
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../utils/logger");
+const config = require("../utils/config");
+
+const logger = createLogger("ProfileStore");
+
+// Fields a profile may hold
+const PROFILE_FIELDS = ["nickname", "language", "voice", "optOut"];
+
+/**
+ * Keeps all profiles in memory and in a single JSON file, keyed by user ID
+ */
+class ProfileStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string} options.filePath - JSON file holding the profiles
+     */
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.profiles = this.read();
+    }
+
+    /**
+     * Read the profiles file
+     * @returns {object} - Profiles keyed by user ID
+     */
+    read() {
+        if (!fs.existsSync(this.filePath)) return {};
+
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        } catch (error) {
+            logger.error(
+                `Failed to read profiles file: ${this.filePath}`,
+                error,
+            );
+            return {};
+        }
+    }
+
+    /**
+     * Write the profiles file
+     */
+    write() {
+        const directory = path.dirname(this.filePath);
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+
+        fs.writeFileSync(this.filePath, JSON.stringify(this.profiles, null, 2));
+    }
+
+    /**
+     * Get a user's profile
+     * @param {string} userId - Discord user ID
+     * @returns {object} - The profile, empty if the user has none
+     */
+    get(userId) {
+        return this.profiles[userId] || {};
+    }
+
+    /**
+     * Change fields of a user's profile. Null or empty values remove a field.
+     * @param {string} userId - Discord user ID
+     * @param {object} changes - Fields to set
+     * @returns {object} - The updated profile
+     */
+    update(userId, changes) {
+        const profile = { ...this.get(userId) };
+
+        for (const field of PROFILE_FIELDS) {
+            if (!(field in changes)) continue;
+
+            const value = changes[field];
+            if (value === null || value === "" || value === false) {
+                delete profile[field];
+            } else {
+                profile[field] = value;
+            }
+        }
+
+        if (Object.keys(profile).length > 0) {
+            this.profiles[userId] = profile;
+        } else {
+            delete this.profiles[userId];
+        }
+
+        this.write();
+        return profile;
+    }
+
+    /**
+     * Delete a user's profile
+     * @param {string} userId - Discord user ID
+     */
+    clear(userId) {
+        delete this.profiles[userId];
+        this.write();
+    }
+}
+
+// The store in use, created on first use
+let store = null;
+
+/**
+ * Get the profile store, creating it if needed
+ * @returns {ProfileStore} - The profile store
+ */
+function getProfileStore() {
+    if (!store) {
+        store = new ProfileStore({ filePath: config.profiles.path });
+        logger.info(`Using profiles file: ${config.profiles.path}`);
+    }
+    return store;
+}
+
+module.exports = {
+    ProfileStore,
+    getProfileStore,
+};
@@ -0,0 +1,113 @@
+/**
+ * Conversation history store backed by a SQLite database
+ */
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger("SqliteHistoryStore");
+
+class SqliteHistoryStore {
+    /**
+     * @param {object} options - Store options
+     * @param {string} options.filePath - Path to the database file
+     * @param {object} options.retention - Retention limits
+     * @param {number} options.retention.maxAgeDays - Drop messages older than this, 0 keeps them forever
+     * @param {number} options.retention.maxMessages - Keep at most this many messages per conversation
+     */
+    constructor({ filePath, retention }) {
+        // Only needed when this store is selected
+        const Database = require("better-sqlite3");
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        logger.info(`Opening history database: ${filePath}`);
+
+        this.retention = retention;
+        this.db = new Database(filePath);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                conversation TEXT NOT NULL,
+                role TEXT NOT NULL,
+                content TEXT NOT NULL,
+                timestamp INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS messages_conversation
+                ON messages (conversation, id);
+        `);
+
+        this.statements = {
+            insert: this.db.prepare(
+                "INSERT INTO messages (conversation, role, content, timestamp) VALUES (?, ?, ?, ?)",
+            ),
+            updateLast: this.db.prepare(
+                "UPDATE messages SET role = ?, content = ? WHERE id = (SELECT MAX(id) FROM messages WHERE conversation = ?)",
+            ),
+            load: this.db.prepare(
+                "SELECT role, content FROM (SELECT id, role, content FROM messages WHERE conversation = ? AND timestamp >= ? ORDER BY id DESC LIMIT ?) ORDER BY id",
+            ),
+            pruneAge: this.db.prepare(
+                "DELETE FROM messages WHERE timestamp < ?",
+            ),
+            pruneCount: this.db.prepare(
+                "DELETE FROM messages WHERE conversation = ? AND id NOT IN (SELECT id FROM messages WHERE conversation = ? ORDER BY id DESC LIMIT ?)",
+            ),
+            clear: this.db.prepare(
+                "DELETE FROM messages WHERE conversation = ?",
+            ),
+        };
+
+        this.statements.pruneAge.run(this.cutoff());
+    }
+
+    /**
+     * Get the oldest timestamp kept by the retention limits
+     * @returns {number} - Cutoff timestamp in milliseconds, 0 to keep every message
+     */
+    cutoff() {
+        const { maxAgeDays } = this.retention;
+        return maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+    }
+
+    /**
+     * Add a message to a conversation
+     * @param {string} key - Conversation key
+     * @param {object} message - Message with role and content
+     */
+    append(key, { role, content }) {
+        this.statements.insert.run(key, role, content, Date.now());
+        this.statements.pruneCount.run(key, key, this.retention.maxMessages);
+    }
+
+    /**
+     * Replace the most recent message of a conversation
+     * @param {string} key - Conversation key
+     * @param {object} message - Message with role and content
+     */
+    updateLast(key, { role, content }) {
+        const { changes } = this.statements.updateLast.run(role, content, key);
+        if (changes === 0) {
+            this.append(key, { role, content });
+        }
+    }
+
+    /**
+     * Load the most recent messages of a conversation
+     * @param {string} key - Conversation key
+     * @param {number} limit - Maximum number of messages
+     * @returns {object[]} - Messages with role and content, oldest first
+     */
+    load(key, limit) {
+        return this.statements.load.all(key, this.cutoff(), limit);
+    }
+
+    /**
+     * Delete a conversation's history
+     * @param {string} key - Conversation key
+     */
+    clear(key) {
+        this.statements.clear.run(key);
+    }
+}
+
+module.exports = { SqliteHistoryStore };
@@ -0,0 +1,698 @@
+/**
+ * Builds the configuration from its layers and keeps it up to date: schema
+ * defaults, then the config file (JSON or YAML), then environment variables,
+ * with per-guild overrides from the config file on top
+ */
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const YAML = require("yaml");
+const {
+    schema,
+    deriveSettings,
+    checkSettingCombinations,
+} = require("./config-schema");
+
+// How often the config file is checked for changes
+const WATCH_INTERVAL_MS = 2000;
+
+// Top-level key of the config file that holds the per-guild overrides
+const GUILDS_KEY = "guilds";
+
+/**
+ * Invalid configuration, with every problem found
+ */
+class ConfigError extends Error {
+    /**
+     * @param {string[]} problems - One readable line per problem
+     */
+    constructor(problems) {
+        super(
+            `Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`,
+        );
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+// Emits "change" with the changed setting paths after a reload or runtime change
+const configEvents = new EventEmitter();
+
+// The live configuration and what it was built from
+const state = {
+    config: null,
+    // Values from the defaults, file and environment, before runtime changes
+    loaded: null,
+    // Per-guild overrides, as setting values keyed by path, keyed by guild ID
+    guilds: {},
+    warnings: [],
+    // Why the configuration could not be loaded, reported at startup
+    problems: [],
+    filePath: null,
+};
+
+/**
+ * Get the config logger. Loaded lazily: the logger itself reads the config.
+ * @returns {object} - The logger
+ */
+function getLogger() {
+    return require("./logger").createLogger("Config");
+}
+
+/**
+ * List every setting in the schema
+ * @returns {object[]} - `path` (dotted, e.g. "app.debug") and `setting`
+ */
+function listSettings() {
+    const settings = [];
+    const walk = (node, prefix) => {
+        for (const [key, value] of Object.entries(node)) {
+            const settingPath = prefix ? `${prefix}.${key}` : key;
+            if (value.isSetting) {
+                settings.push({ path: settingPath, setting: value });
+            } else {
+                walk(value, settingPath);
+            }
+        }
+    };
+    walk(schema, "");
+    return settings;
+}
+
+/**
+ * Find a setting by path
+ * @param {string} settingPath - Dotted path
+ * @returns {object|null} - The setting, or null if there is none
+ */
+function findSetting(settingPath) {
+    const found = listSettings().find((entry) => entry.path === settingPath);
+    return found ? found.setting : null;
+}
+
+/**
+ * Read a value at a dotted path
+ * @param {object} object - Object to read from
+ * @param {string} settingPath - Dotted path
+ * @returns {*} - The value, undefined if any part of the path is missing
+ */
+function getPath(object, settingPath) {
+    return settingPath
+        .split(".")
+        .reduce(
+            (node, key) =>
+                node !== undefined && node !== null ? node[key] : undefined,
+            object,
+        );
+}
+
+/**
+ * Set a value at a dotted path, creating objects along the way
+ * @param {object} object - Object to change
+ * @param {string} settingPath - Dotted path
+ * @param {*} value - The value
+ */
+function setPath(object, settingPath, value) {
+    const keys = settingPath.split(".");
+    const last = keys.pop();
+    let node = object;
+    for (const key of keys) {
+        if (typeof node[key] !== "object" || node[key] === null) node[key] = {};
+        node = node[key];
+    }
+    node[last] = value;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - The value
+ * @returns {boolean} - Whether it is an object and not an array or null
+ */
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Apply a setting's case normalization to a string
+ * @param {string} value - The string
+ * @param {object} setting - The setting
+ * @returns {string} - The normalized string
+ */
+function normalizeCase(value, setting) {
+    if (setting.lowercase) return value.toLowerCase();
+    if (setting.uppercase) return value.toUpperCase();
+    return value;
+}
+
+/**
+ * Turn an environment variable's text into the setting's type
+ * @param {string} text - The variable's value
+ * @param {object} setting - The setting
+ * @returns {*} - The parsed value, still to be checked with checkValue
+ */
+function parseText(text, setting) {
+    const trimmed = text.trim();
+
+    switch (setting.type) {
+        case "boolean":
+            if (/^(true|false)$/i.test(trimmed)) {
+                return trimmed.toLowerCase() === "true";
+            }
+            return text;
+        case "integer":
+            return /^[+-]?\d+$/.test(trimmed) ? parseInt(trimmed, 10) : text;
+        case "number":
+            return trimmed !== "" && Number.isFinite(Number(trimmed))
+                ? Number(trimmed)
+                : text;
+        case "list":
+            return text
+                .split(setting.separator || ",")
+                .map((item) => item.trim())
+                .filter(Boolean);
+        case "map":
+            return Object.fromEntries(
+                text
+                    .split(",")
+                    .map((entry) => entry.split("=").map((part) => part.trim()))
+                    .filter(([key, value]) => key && value),
+            );
+        case "object":
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        default:
+            return text;
+    }
+}
+
+/**
+ * Check a value against its setting and normalize it
+ * @param {*} value - The value, already of the setting's type if it is valid
+ * @param {object} setting - The setting
+ * @param {string} label - Where the value came from, for error messages
+ * @returns {*} - The value to use
+ */
+function checkValue(value, setting, label) {
+    const fail = (expected) => {
+        throw new ConfigError([
+            `${label}: must be ${expected}, got ${JSON.stringify(value)}`,
+        ]);
+    };
+
+    switch (setting.type) {
+        case "string": {
+            if (typeof value !== "string") fail("a string");
+            const text = normalizeCase(value, setting);
+            if (setting.pattern && text !== "" && !setting.pattern.test(text)) {
+                fail(`a value matching ${setting.pattern}`);
+            }
+            return text;
+        }
+        case "enum": {
+            const text =
+                typeof value === "string"
+                    ? normalizeCase(value, setting)
+                    : value;
+            if (!setting.values.includes(text)) {
+                fail(`one of ${setting.values.join(", ")}`);
+            }
+            return text;
+        }
+        case "boolean":
+            if (typeof value !== "boolean") fail("true or false");
+            return value;
+        case "integer":
+        case "number": {
+            const isNumber =
+                setting.type === "integer"
+                    ? Number.isInteger(value)
+                    : typeof value === "number" && Number.isFinite(value);
+            if (!isNumber)
+                fail(
+                    `a${setting.type === "integer" ? "n" : ""} ${setting.type}`,
+                );
+            if (setting.min !== undefined && value < setting.min) {
+                fail(`at least ${setting.min}`);
+            }
+            if (setting.max !== undefined && value > setting.max) {
+                fail(`at most ${setting.max}`);
+            }
+            return value;
+        }
+        case "list": {
+            if (
+                !Array.isArray(value) ||
+                !value.every((item) => typeof item === "string")
+            ) {
+                fail("a list of strings");
+            }
+            const items = value
+                .map((item) => normalizeCase(item.trim(), setting))
+                .filter(Boolean);
+            const invalid = setting.pattern
+                ? items.find((item) => !setting.pattern.test(item))
+                : undefined;
+            if (invalid !== undefined) {
+                fail(`a list of values matching ${setting.pattern}`);
+            }
+            if (setting.minItems && items.length < setting.minItems) {
+                fail(`a list of at least ${setting.minItems} item(s)`);
+            }
+            return items;
+        }
+        case "map": {
+            if (
+                !isPlainObject(value) ||
+                !Object.values(value).every((item) => typeof item === "string")
+            ) {
+                fail("a map of strings");
+            }
+            const entries = Object.entries(value).map(([key, item]) => [
+                key,
+                normalizeCase(item, setting),
+            ]);
+            if (
+                setting.values &&
+                !entries.every(([, item]) => setting.values.includes(item))
+            ) {
+                fail(`a map with values ${setting.values.join(", ")}`);
+            }
+            return Object.fromEntries(entries);
+        }
+        case "object":
+            if (!isPlainObject(value)) fail("a JSON object");
+            return value;
+        default:
+            throw new Error(`Unknown setting type: ${setting.type}`);
+    }
+}
+
+/**
+ * Read a config file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {object} - The file's settings
+ */
+function readConfigFile(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+        throw new ConfigError([
+            `Cannot read config file ${filePath}: ${error.message}`,
+        ]);
+    }
+
+    let values;
+    try {
+        values = /\.ya?ml$/i.test(filePath)
+            ? YAML.parse(text)
+            : JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError([
+            `Cannot parse config file ${filePath}: ${error.message}`,
+        ]);
+    }
+
+    // An empty YAML file parses to null
+    if (values === null || values === undefined) return {};
+    if (!isPlainObject(values)) {
+        throw new ConfigError([`Config file ${filePath} must hold an object`]);
+    }
+    return values;
+}
+
+/**
+ * Flatten nested file values into values keyed by dotted path
+ * @param {object} values - Nested values
+ * @param {string} [prefix] - Path of `values`
+ * @returns {object} - Values keyed by path
+ */
+function flatten(values, prefix = "") {
+    const flat = {};
+    for (const [key, value] of Object.entries(values)) {
+        const valuePath = prefix ? `${prefix}.${key}` : key;
+        const node = getPath(schema, valuePath);
+
+        // Recurse into sections; settings keep their value, even objects
+        if (isPlainObject(value) && node && !node.isSetting) {
+            Object.assign(flat, flatten(value, valuePath));
+        } else {
+            flat[valuePath] = value;
+        }
+    }
+    return flat;
+}
+
+/**
+ * Build the configuration from its layers
+ * @param {object} [sources] - Where to read settings from
+ * @param {object} [sources.env] - Environment variables
+ * @param {object} [sources.file] - Config file settings, nested like the config
+ * @param {string} [sources.fileName] - Name of the config file, for messages
+ * @returns {object} - `config`, `guilds` (overrides keyed by guild ID) and `warnings`
+ */
+function buildConfig({ env = {}, file = {}, fileName = "config file" } = {}) {
+    const problems = [];
+    const warnings = [];
+    const config = {};
+
+    const check = (value, setting, label) => {
+        try {
+            return checkValue(value, setting, label);
+        } catch (error) {
+            if (!(error instanceof ConfigError)) throw error;
+            problems.push(...error.problems);
+            return undefined;
+        }
+    };
+
+    const { [GUILDS_KEY]: guildValues = {}, ...fileSettings } = file;
+    const fileValues = flatten(fileSettings);
+
+    for (const key of Object.keys(fileValues)) {
+        const node = getPath(schema, key);
+        if (!node || !node.isSetting) {
+            warnings.push(`Unknown setting ${key} in ${fileName}`);
+        }
+    }
+
+    for (const { path: settingPath, setting } of listSettings()) {
+        // 1. Default
+        let value = setting.default;
+
+        // 2. Config file
+        if (settingPath in fileValues) {
+            value = check(
+                fileValues[settingPath],
+                setting,
+                `${settingPath} in ${fileName}`,
+            );
+        }
+
+        // 3. Environment, where an empty variable counts as unset
+        const names = [].concat(setting.env || []);
+        let name = names.find((envName) => env[envName]);
+        if (!name && setting.deprecatedEnv && env[setting.deprecatedEnv]) {
+            name = setting.deprecatedEnv;
+            warnings.push(`${name} is deprecated, use ${names[0]} instead`);
+        }
+        if (name) {
+            value = check(parseText(env[name], setting), setting, name);
+        }
+
+        setPath(config, settingPath, value);
+    }
+
+    // 4. Per-guild overrides
+    const guilds = {};
+    if (!isPlainObject(guildValues)) {
+        problems.push(`${GUILDS_KEY} in ${fileName}: must be an object`);
+    } else {
+        for (const [guildId, overrides] of Object.entries(guildValues)) {
+            const label = `${GUILDS_KEY}.${guildId}`;
+            if (!/^\d+$/.test(guildId) || !isPlainObject(overrides)) {
+                problems.push(
+                    `${label} in ${fileName}: must be a guild ID with an object of settings`,
+                );
+                continue;
+            }
+
+            guilds[guildId] = {};
+            for (const [key, value] of Object.entries(flatten(overrides))) {
+                const setting = findSetting(key);
+                if (!setting) {
+                    warnings.push(
+                        `Unknown setting ${label}.${key} in ${fileName}`,
+                    );
+                } else if (!setting.guild) {
+                    warnings.push(
+                        `${key} cannot be set per guild, ignoring ${label}.${key} in ${fileName}`,
+                    );
+                } else {
+                    guilds[guildId][key] = check(
+                        value,
+                        setting,
+                        `${label}.${key} in ${fileName}`,
+                    );
+                }
+            }
+        }
+    }
+
+    if (problems.length === 0) {
+        problems.push(...checkSettingCombinations(config, guilds));
+    }
+    if (problems.length > 0) throw new ConfigError(problems);
+
+    deriveSettings(config);
+    return { config, guilds, warnings };
+}
+
+/**
+ * Read the layers from the environment and the file named by CONFIG_FILE
+ * @returns {object} - What buildConfig returns, with the file path
+ */
+function readLayers() {
+    const filePath = process.env.CONFIG_FILE || null;
+    const file = filePath ? readConfigFile(filePath) : {};
+
+    return {
+        ...buildConfig({
+            env: process.env,
+            file,
+            fileName: filePath ? path.basename(filePath) : undefined,
+        }),
+        filePath,
+    };
+}
+
+/**
+ * Load the configuration. If it is invalid, the defaults are loaded instead
+ * so the logger can start, and checkConfig() reports the problems.
+ * @returns {object} - The live configuration
+ */
+function loadConfig() {
+    let layers;
+    try {
+        layers = readLayers();
+        state.problems = [];
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        layers = {
+            ...buildConfig(),
+            filePath: process.env.CONFIG_FILE || null,
+        };
+        state.problems = error.problems;
+    }
+
+    state.config = layers.config;
+    state.loaded = structuredClone(layers.config);
+    state.guilds = layers.guilds;
+    state.warnings = layers.warnings;
+    state.filePath = layers.filePath;
+    return state.config;
+}
+
+/**
+ * Get the warnings found while loading, such as unknown settings
+ * @returns {string[]} - The warnings
+ */
+function getConfigWarnings() {
+    return state.warnings;
+}
+
+/**
+ * Check that the configuration loaded and that every required setting is set
+ * @returns {string[]} - A message per problem
+ */
+function checkConfig() {
+    if (state.problems.length > 0) return state.problems;
+
+    return listSettings()
+        .filter(
+            ({ path: settingPath, setting }) =>
+                setting.required && !getPath(state.config, settingPath),
+        )
+        .map(({ path: settingPath, setting }) =>
+            setting.env
+                ? `${[].concat(setting.env)[0]} (${settingPath}) must be set`
+                : `${settingPath} must be set`,
+        );
+}
+
+/**
+ * Get the configuration as it applies to one guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {object} - The configuration with the guild's overrides applied
+ */
+function getGuildConfig(guildId) {
+    const overrides = state.guilds[guildId];
+    if (!overrides) return state.config;
+
+    // Copy only the objects along the overridden paths
+    const merged = { ...state.config };
+    for (const [settingPath, value] of Object.entries(overrides)) {
+        const keys = settingPath.split(".");
+        const last = keys.pop();
+        let node = merged;
+        for (const key of keys) {
+            node[key] = { ...node[key] };
+            node = node[key];
+        }
+        node[last] = value;
+    }
+    return merged;
+}
+
+/**
+ * Get the settings that can change while the bot runs
+ * @returns {object} - Current values keyed by setting path
+ */
+function getRuntimeSettings() {
+    return Object.fromEntries(
+        listSettings()
+            .filter(({ setting }) => setting.hot)
+            .map(({ path: settingPath }) => [
+                settingPath,
+                getPath(state.config, settingPath),
+            ]),
+    );
+}
+
+/**
+ * Change settings while the bot runs. Nothing changes unless every value is valid.
+ * @param {object} changes - New values keyed by setting path
+ * @returns {object} - The runtime settings after the change
+ */
+function setRuntimeSettings(changes) {
+    const problems = [];
+    const values = [];
+
+    for (const [settingPath, value] of Object.entries(changes)) {
+        const setting = findSetting(settingPath);
+        if (!setting || !setting.hot) {
+            problems.push(`${settingPath} cannot be changed at runtime`);
+            continue;
+        }
+        try {
+            values.push([settingPath, checkValue(value, setting, settingPath)]);
+        } catch (error) {
+            if (!(error instanceof ConfigError)) throw error;
+            problems.push(...error.problems);
+        }
+    }
+    if (problems.length > 0) throw new ConfigError(problems);
+
+    const changed = structuredClone(state.config);
+    for (const [settingPath, value] of values) {
+        setPath(changed, settingPath, value);
+    }
+    const combinationProblems = checkSettingCombinations(changed, state.guilds);
+    if (combinationProblems.length > 0) {
+        throw new ConfigError(combinationProblems);
+    }
+
+    for (const [settingPath, value] of values) {
+        setPath(state.config, settingPath, value);
+        getLogger().info(
+            `Runtime setting ${settingPath} set to ${JSON.stringify(value)}`,
+        );
+    }
+    configEvents.emit(
+        "change",
+        values.map(([settingPath]) => settingPath),
+    );
+
+    return getRuntimeSettings();
+}
+
+/**
+ * Read the config file and environment again and apply the settings that
+ * changed. Only hot settings take effect; the others need a restart.
+ * @returns {boolean} - Whether the new configuration was valid
+ */
+function reloadConfig() {
+    const logger = getLogger();
+
+    let layers;
+    try {
+        layers = readLayers();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        logger.error(`Keeping the current configuration. ${error.message}`);
+        return false;
+    }
+
+    layers.warnings.forEach((warning) => logger.warn(warning));
+
+    // Compare with what was loaded before, so runtime changes to settings
+    // that did not change in the file are kept
+    const changed = [];
+    for (const { path: settingPath, setting } of listSettings()) {
+        const before = getPath(state.loaded, settingPath);
+        const after = getPath(layers.config, settingPath);
+        if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+        if (setting.hot) {
+            setPath(state.config, settingPath, after);
+            changed.push(settingPath);
+            logger.info(`Reloaded ${settingPath}: ${JSON.stringify(after)}`);
+        } else {
+            logger.warn(`${settingPath} changed; restart the bot to apply it`);
+        }
+    }
+
+    const guildsChanged =
+        JSON.stringify(state.guilds) !== JSON.stringify(layers.guilds);
+    if (guildsChanged) logger.info("Reloaded per-guild overrides");
+
+    state.loaded = structuredClone(layers.config);
+    state.guilds = layers.guilds;
+    state.warnings = layers.warnings;
+
+    if (changed.length > 0 || guildsChanged) {
+        configEvents.emit("change", changed);
+    }
+    return true;
+}
+
+/**
+ * Reload the configuration whenever the config file changes
+ */
+function watchConfigFile() {
+    if (!state.filePath) return;
+
+    fs.watchFile(
+        state.filePath,
+        { interval: WATCH_INTERVAL_MS },
+        (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+            getLogger().info(`${state.filePath} changed, reloading`);
+            reloadConfig();
+        },
+    );
+}
+
+/**
+ * Stop watching the config file
+ */
+function unwatchConfigFile() {
+    if (state.filePath) fs.unwatchFile(state.filePath);
+}
+
+module.exports = {
+    ConfigError,
+    configEvents,
+    buildConfig,
+    loadConfig,
+    getConfigWarnings,
+    checkConfig,
+    getGuildConfig,
+    getRuntimeSettings,
+    setRuntimeSettings,
+    reloadConfig,
+    watchConfigFile,
+    unwatchConfigFile,
+};
@@ -0,0 +1,654 @@
+/**
+ * Configuration schema: every setting with its type, default value,
+ * environment variable and whether it may change while the bot runs
+ *
+ * Setting options:
+ * - `env`: environment variable (or list of them, the first one set wins)
+ * - `deprecatedEnv`: old name of the variable, still read but warned about
+ * - `default`: value when no layer sets it
+ * - `hot`: applied when the config file is reloaded, and can be changed
+ *   through the control API
+ * - `guild`: can be overridden per guild in the config file
+ * - `required`: must be set for the bot to start
+ * - `values`: allowed values (for "enum", and "map" values)
+ * - `min`, `max`: bounds for "integer" and "number"
+ * - `pattern`: format of a "string", or of each "list" item
+ * - `minItems`: smallest number of items in a "list"
+ * - `separator`: separator of a "list" given as a string (default ",")
+ * - `lowercase`, `uppercase`: normalize the case of strings
+ */
+
+// Discord IDs are numeric snowflakes
+const SNOWFLAKE = /^\d+$/;
+
+const LOG_LEVELS = ["ERROR", "WARN", "INFO", "DEBUG"];
+
+/**
+ * Define a setting
+ * @param {string} type - "string", "boolean", "integer", "number", "enum",
+ *   "list", "map" or "object"
+ * @param {object} [options] - Setting options (see above)
+ * @returns {object} - The setting
+ */
+function setting(type, options = {}) {
+    return { isSetting: true, type, ...options };
+}
+
+const schema = {
+    // Discord Bot Configuration
+    discord: {
+        token: setting("string", { env: "DISCORD_TOKEN", required: true }),
+        clientId: setting("string", { env: "CLIENT_ID", pattern: SNOWFLAKE }),
+        // Servers to register the slash commands in (comma-separated); empty
+        // registers them globally, for every server the bot is in
+        guildIds: setting("list", {
+            env: "GUILD_IDS",
+            deprecatedEnv: "GUILD_ID",
+            default: [],
+            pattern: SNOWFLAKE,
+        }),
+        // Voice channels to join on startup (comma-separated, one per guild)
+        voiceChannelIds: setting("list", {
+            env: "VOICE_ID",
+            default: [],
+            pattern: SNOWFLAKE,
+        }),
+        // Roles allowed to use the control commands (comma-separated, empty = everyone)
+        commandRoleIds: setting("list", {
+            env: "COMMAND_ROLE_IDS",
+            default: [],
+            pattern: SNOWFLAKE,
+        }),
+    },
+
+    // Google Cloud Configuration
+    google: {
+        credentials: setting("string", {
+            env: "GOOGLE_APPLICATION_CREDENTIALS",
+        }),
+        textToSpeech: {
+            voiceName: setting("string", {
+                env: "TTS_VOICE_NAME",
+                default: "en-US-Standard-I",
+                hot: true,
+                guild: true,
+            }),
+            speakingRate: setting("number", {
+                env: "TTS_SPEAKING_RATE",
+                default: 1.0,
+                min: 0.25,
+                max: 4,
+                hot: true,
+                guild: true,
+            }),
+            pitch: setting("number", {
+                env: "TTS_PITCH",
+                default: 0,
+                min: -20,
+                max: 20,
+                hot: true,
+                guild: true,
+            }),
+        },
+    },
+
+    // Speech-to-Text Configuration
+    stt: {
+        // "google", "openai" (OpenAI-compatible endpoint) or "command"
+        provider: setting("enum", {
+            env: "STT_PROVIDER",
+            default: "google",
+            values: ["google", "openai", "command"],
+        }),
+        // Transcribe while the user is still talking, if the backend supports it
+        streaming: setting("boolean", { env: "STT_STREAMING", default: true }),
+        // Candidate languages detected per utterance, where the backend can;
+        // the first is the primary one
+        languages: setting("list", {
+            env: ["STT_LANGUAGES", "LANGUAGE_CODE"],
+            default: ["en-US"],
+            minItems: 1,
+        }),
+        // Audio sent to the backend; unset values use the backend's defaults
+        // (16 kHz mono, with a WAV header for openai and command)
+        audio: {
+            sampleRate: setting("integer", { env: "STT_SAMPLE_RATE", min: 1 }),
+            channels: setting("integer", { env: "STT_CHANNELS", min: 1 }),
+            wavHeader: setting("boolean", { env: "STT_WAV_HEADER" }),
+        },
+        openai: {
+            apiUrl: setting("string", {
+                env: "STT_API_URL",
+                default: "http://localhost:8080",
+            }),
+            apiKey: setting("string", { env: "STT_API_KEY", default: "" }),
+            model: setting("string", {
+                env: "STT_MODEL",
+                default: "whisper-1",
+            }),
+        },
+        command: {
+            command: setting("string", { env: "STT_COMMAND", default: "" }),
+            args: setting("list", {
+                env: "STT_COMMAND_ARGS",
+                default: ["{file}"],
+                separator: /\s+/,
+            }),
+            timeoutMs: setting("integer", {
+                env: "STT_COMMAND_TIMEOUT_MS",
+                default: 30000,
+                min: 1,
+            }),
+        },
+    },
+
+    // Text-to-Speech Configuration
+    tts: {
+        // "google", "piper" or "espeak"
+        provider: setting("enum", {
+            env: "TTS_PROVIDER",
+            default: "google",
+            values: ["google", "piper", "espeak"],
+        }),
+        // Voice per reply language ("language=voice", comma-separated)
+        voices: setting("map", { env: "TTS_VOICES", default: {}, hot: true }),
+        piper: {
+            command: setting("string", {
+                env: "PIPER_COMMAND",
+                default: "piper",
+            }),
+            model: setting("string", { env: "PIPER_MODEL", default: "" }),
+            speaker: setting("string", { env: "PIPER_SPEAKER", default: "" }),
+            timeoutMs: setting("integer", {
+                env: "TTS_COMMAND_TIMEOUT_MS",
+                default: 30000,
+                min: 1,
+            }),
+        },
+        espeak: {
+            command: setting("string", {
+                env: "ESPEAK_COMMAND",
+                default: "espeak-ng",
+            }),
+            voice: setting("string", { env: "ESPEAK_VOICE", default: "en-us" }),
+            timeoutMs: setting("integer", {
+                env: "TTS_COMMAND_TIMEOUT_MS",
+                default: 30000,
+                min: 1,
+            }),
+        },
+    },
+
+    // Ollama Configuration
+    ollama: {
+        apiHost: setting("string", {
+            env: "OLLAMA_API_HOST",
+            default: "http://localhost:11434",
+        }),
+        model: setting("string", {
+            env: "OLLAMA_DEFAULT_MODEL",
+            default: "gemma3",
+            hot: true,
+        }),
+        // Overrides the built-in prompt; personas override both
+        systemPrompt: setting("string", {
+            env: "OLLAMA_SYSTEM_PROMPT",
+            deprecatedEnv: "LLAMA_SYSTEM_PROMPT",
+            default: "",
+            hot: true,
+            guild: true,
+        }),
+    },
+
+    // LLM Configuration
+    llm: {
+        // "ollama" or "openai" (OpenAI-compatible chat completions)
+        provider: setting("enum", {
+            env: "LLM_PROVIDER",
+            default: "ollama",
+            values: ["ollama", "openai"],
+        }),
+        temperature: setting("number", {
+            env: "LLM_TEMPERATURE",
+            min: 0,
+            hot: true,
+        }),
+        maxTokens: setting("integer", {
+            env: "LLM_MAX_TOKENS",
+            min: 1,
+            hot: true,
+        }),
+        // Context window of the model, in tokens
+        contextTokens: setting("integer", {
+            env: "LLM_CONTEXT_TOKENS",
+            default: 4096,
+            min: 1,
+            hot: true,
+        }),
+        // Share of the context window after which old turns are summarized
+        summarizeAt: setting("number", {
+            env: "LLM_SUMMARIZE_AT",
+            default: 0.75,
+            min: 0,
+            max: 1,
+            hot: true,
+        }),
+        // Stop sequences, separated by "|"
+        stop: setting("list", {
+            env: "LLM_STOP",
+            default: [],
+            separator: "|",
+            hot: true,
+        }),
+        // Provider-specific options passed through as-is (JSON object)
+        extraOptions: setting("object", {
+            env: "LLM_EXTRA_OPTIONS",
+            default: {},
+            hot: true,
+        }),
+        openai: {
+            apiUrl: setting("string", {
+                env: "OPENAI_API_URL",
+                default: "http://localhost:8080",
+            }),
+            apiKey: setting("string", { env: "OPENAI_API_KEY", default: "" }),
+            model: setting("string", {
+                env: "OPENAI_MODEL",
+                default: "default",
+                hot: true,
+            }),
+        },
+    },
+
+    // Tool Calling (actions the LLM can take while replying)
+    tools: {
+        // Needs a model with tool support (e.g. llama3.1 or qwen2.5 on Ollama)
+        enabled: setting("boolean", {
+            env: "TOOLS_ENABLED",
+            default: false,
+            hot: true,
+        }),
+        // Tools offered to the model (comma-separated names, empty = all)
+        names: setting("list", { env: "TOOLS", default: [], hot: true }),
+        // Rounds of tool calls allowed before the model has to answer
+        maxRounds: setting("integer", {
+            env: "TOOLS_MAX_ROUNDS",
+            default: 3,
+            min: 1,
+            hot: true,
+        }),
+        // Text or Markdown file searched by the search_notes tool
+        notesPath: setting("string", {
+            env: "NOTES_PATH",
+            default: "./data/notes.md",
+            hot: true,
+        }),
+    },
+
+    // Conversation History Persistence
+    history: {
+        // "none", "json" (one file per conversation) or "sqlite"
+        type: setting("enum", {
+            env: "HISTORY_STORE",
+            default: "none",
+            values: ["none", "json", "sqlite"],
+        }),
+        // Defaults to ./data/history.db for sqlite, ./data/history otherwise
+        path: setting("string", { env: "HISTORY_PATH" }),
+        retention: {
+            // Days a message is kept; 0 keeps messages forever
+            maxAgeDays: setting("number", {
+                env: "HISTORY_RETENTION_DAYS",
+                default: 30,
+                min: 0,
+            }),
+            maxMessages: setting("integer", {
+                env: "HISTORY_MAX_MESSAGES",
+                default: 500,
+                min: 0,
+            }),
+        },
+        // Stored messages loaded back into context when a session starts
+        reloadMessages: setting("integer", {
+            env: "HISTORY_RELOAD_MESSAGES",
+            default: 10,
+            min: 0,
+        }),
+    },
+
+    // User Profiles (nickname, reply language, TTS voice, transcription opt-out)
+    profiles: {
+        path: setting("string", {
+            env: "PROFILES_PATH",
+            default: "./data/profiles.json",
+        }),
+    },
+
+    // Personas (characters defined by JSON files, switched with /persona)
+    personas: {
+        directory: setting("string", {
+            env: "PERSONAS_DIR",
+            default: "./personas",
+        }),
+        // Persona sessions start with (file name without .json, or its name)
+        default: setting("string", {
+            env: "PERSONA",
+            default: "",
+            hot: true,
+            guild: true,
+        }),
+        // Whether switching persona starts a new conversation
+        resetHistory: setting("boolean", {
+            env: "PERSONA_RESET_HISTORY",
+            default: true,
+            hot: true,
+        }),
+    },
+
+    // Logging
+    logging: {
+        level: setting("enum", {
+            env: "LOG_LEVEL",
+            default: "INFO",
+            values: LOG_LEVELS,
+            uppercase: true,
+            hot: true,
+        }),
+        // Level per module ("Module=LEVEL", comma-separated), overriding the above
+        moduleLevels: setting("map", {
+            env: "LOG_MODULE_LEVELS",
+            default: {},
+            values: LOG_LEVELS,
+            uppercase: true,
+            hot: true,
+        }),
+        // "text" or "json" (one object per line)
+        format: setting("enum", {
+            env: "LOG_FORMAT",
+            default: "text",
+            values: ["text", "json"],
+            hot: true,
+        }),
+        // Also write logs to this file, rotating it when it gets too large
+        file: setting("string", { env: "LOG_FILE", default: "" }),
+        fileMaxBytes: setting("integer", {
+            env: "LOG_FILE_MAX_BYTES",
+            default: 10485760,
+            min: 1,
+        }),
+        fileMaxFiles: setting("integer", {
+            env: "LOG_FILE_MAX_FILES",
+            default: 5,
+            min: 0,
+        }),
+    },
+
+    // Application Configuration
+    app: {
+        debug: setting("boolean", {
+            env: "IS_DEBUG",
+            default: false,
+            hot: true,
+        }),
+        tempDir: setting("string", { env: "TEMP_DIR", default: "./temp" }),
+        vadSilenceThreshold: setting("integer", {
+            env: "VAD_SILENCE_THRESHOLD",
+            default: 500,
+            min: 1,
+            hot: true,
+        }),
+        // Speak replies sentence by sentence while the LLM is still generating
+        streamResponses: setting("boolean", {
+            env: "STREAM_RESPONSES",
+            default: true,
+            hot: true,
+        }),
+    },
+
+    // Voice Activity Detection on the decoded audio, before transcription
+    vad: {
+        // RMS level (0-1) a frame must reach to count as speech
+        energyThreshold: setting("number", {
+            env: "VAD_ENERGY_THRESHOLD",
+            default: 0.01,
+            min: 0,
+            max: 1,
+            hot: true,
+        }),
+        // Frames with a higher zero-crossing rate are hiss-like noise (breathing)
+        maxZeroCrossingRate: setting("number", {
+            env: "VAD_MAX_ZERO_CROSSING_RATE",
+            default: 0.3,
+            min: 0,
+            max: 1,
+            hot: true,
+        }),
+        // Clips with less speech than this are dropped (clicks, keyboard noise)
+        minSpeechMs: setting("integer", {
+            env: "VAD_MIN_SPEECH_MS",
+            default: 250,
+            min: 0,
+            hot: true,
+        }),
+        // Utterances shorter than this after trimming are dropped
+        minUtteranceMs: setting("integer", {
+            env: "VAD_MIN_UTTERANCE_MS",
+            default: 400,
+            min: 0,
+            hot: true,
+        }),
+        // Silence kept before and after the speech when trimming
+        paddingMs: setting("integer", {
+            env: "VAD_PADDING_MS",
+            default: 200,
+            min: 0,
+            hot: true,
+        }),
+        // Long monologues are split at the next pause of splitPauseMs after
+        // splitAfterMs, and cut at maxUtteranceMs regardless
+        splitAfterMs: setting("integer", {
+            env: "VAD_SPLIT_AFTER_MS",
+            default: 15000,
+            min: 1,
+            hot: true,
+        }),
+        splitPauseMs: setting("integer", {
+            env: "VAD_SPLIT_PAUSE_MS",
+            default: 300,
+            min: 1,
+            hot: true,
+        }),
+        maxUtteranceMs: setting("integer", {
+            env: "VAD_MAX_UTTERANCE_MS",
+            default: 30000,
+            min: 1,
+            hot: true,
+        }),
+    },
+
+    // Text Chat Configuration (typed messages that join the voice conversation)
+    textChat: {
+        // Text channels whose messages are added to the conversation (comma-separated)
+        channelIds: setting("list", {
+            env: "TEXT_CHAT_CHANNEL_IDS",
+            default: [],
+            pattern: SNOWFLAKE,
+            hot: true,
+        }),
+        // Also take messages that mention the bot in any channel
+        respondToMentions: setting("boolean", {
+            env: "TEXT_CHAT_MENTIONS",
+            default: true,
+            hot: true,
+        }),
+        // How chat messages are answered: "voice", "text" or "both"
+        replyMode: setting("enum", {
+            env: "TEXT_REPLY_MODE",
+            default: "both",
+            values: ["voice", "text", "both"],
+            hot: true,
+        }),
+    },
+
+    // Live Transcript Configuration
+    transcript: {
+        // Text channels or threads to post transcripts to (comma-separated, one per guild)
+        channelIds: setting("list", {
+            env: "TRANSCRIPT_CHANNEL_IDS",
+            default: [],
+            pattern: SNOWFLAKE,
+        }),
+        // Lines are collected for this long and posted together
+        flushMs: setting("integer", {
+            env: "TRANSCRIPT_FLUSH_MS",
+            default: 5000,
+            min: 1,
+        }),
+    },
+
+    // Turn Queue Configuration (utterances waiting for a reply)
+    turnQueue: {
+        // "merge" answers all queued utterances in one turn, "sequential" one at a time
+        mode: setting("enum", {
+            env: "TURN_QUEUE_MODE",
+            default: "merge",
+            values: ["merge", "sequential"],
+            hot: true,
+        }),
+        maxDepth: setting("integer", {
+            env: "TURN_QUEUE_MAX_DEPTH",
+            default: 5,
+            min: 1,
+        }),
+        maxAgeMs: setting("integer", {
+            env: "TURN_QUEUE_MAX_AGE_MS",
+            default: 15000,
+            min: 1,
+        }),
+    },
+
+    // Response Policy Configuration (when the bot answers what it hears)
+    response: {
+        // "always", "wake-word" (only when addressed) or "smart" (the LLM decides)
+        policy: setting("enum", {
+            env: "RESPONSE_POLICY",
+            default: "always",
+            values: ["always", "wake-word", "smart"],
+            hot: true,
+            guild: true,
+        }),
+        // Names or phrases that address the bot (comma-separated)
+        wakeWords: setting("list", {
+            env: "WAKE_WORDS",
+            default: [],
+            lowercase: true,
+            hot: true,
+        }),
+        // Recent messages the LLM looks at when deciding whether to respond
+        smartContextMessages: setting("integer", {
+            env: "SMART_CONTEXT_MESSAGES",
+            default: 6,
+            min: 0,
+            hot: true,
+        }),
+    },
+
+    // Control API (local HTTP server for health checks and scripting)
+    controlApi: {
+        // Disabled unless a port is set
+        port: setting("integer", {
+            env: "CONTROL_API_PORT",
+            default: 0,
+            min: 0,
+            max: 65535,
+        }),
+        host: setting("string", {
+            env: "CONTROL_API_HOST",
+            default: "127.0.0.1",
+        }),
+        // Required as "Authorization: Bearer <token>" on every request
+        token: setting("string", { env: "CONTROL_API_TOKEN", default: "" }),
+    },
+
+    // Barge-in Configuration (interrupting the bot while it speaks)
+    bargeIn: {
+        enabled: setting("boolean", {
+            env: "BARGE_IN_ENABLED",
+            default: false,
+            hot: true,
+        }),
+        minSpeechMs: setting("integer", {
+            env: "BARGE_IN_MIN_SPEECH_MS",
+            default: 700,
+            min: 0,
+            hot: true,
+        }),
+    },
+};
+
+/**
+ * Fill in the settings computed from other settings
+ * @param {object} config - The merged configuration, changed in place
+ */
+function deriveSettings(config) {
+    const [primaryLanguage] = config.stt.languages;
+
+    config.google.speechToText = {
+        languageCode: primaryLanguage,
+        encoding: "LINEAR16",
+    };
+    // Short primary language code (e.g. "en") for backends that don't take locales
+    config.stt.language = primaryLanguage.split("-")[0];
+
+    if (!config.history.path) {
+        config.history.path =
+            config.history.type === "sqlite"
+                ? "./data/history.db"
+                : "./data/history";
+    }
+}
+
+/**
+ * Check the settings that only make sense together
+ * @param {object} config - The configuration
+ * @param {object} guilds - Per-guild overrides, as setting values keyed by
+ *   path, keyed by guild ID
+ * @returns {string[]} - A message per problem
+ */
+function checkSettingCombinations(config, guilds) {
+    const problems = [];
+
+    // Without wake words the wake-word policy never answers
+    const policies = [
+        config.response.policy,
+        ...Object.values(guilds).map(
+            (overrides) => overrides["response.policy"],
+        ),
+    ];
+    if (
+        policies.includes("wake-word") &&
+        config.response.wakeWords.length === 0
+    ) {
+        problems.push(
+            "WAKE_WORDS (response.wakeWords) must be set to use the wake-word response policy",
+        );
+    }
+
+    // The reply must leave room for the history in the context window
+    if (
+        config.llm.maxTokens !== undefined &&
+        config.llm.maxTokens >= config.llm.contextTokens
+    ) {
+        problems.push(
+            "LLM_MAX_TOKENS (llm.maxTokens) must be less than LLM_CONTEXT_TOKENS (llm.contextTokens)",
+        );
+    }
+
+    return problems;
+}
+
+module.exports = {
+    schema,
+    deriveSettings,
+    checkSettingCombinations,
+};
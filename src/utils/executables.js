@@ -0,0 +1,37 @@
+/**
+ * Helper for checking that local command-line engines are installed
+ */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Check whether a file can be executed
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} - Whether the file exists and is executable
+ */
+function isExecutable(filePath) {
+    try {
+        fs.accessSync(filePath, fs.constants.X_OK);
+        return fs.statSync(filePath).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Throw unless a command can be run, either as a path or found on the PATH
+ * @param {string} command - Command name or path
+ */
+function assertExecutable(command) {
+    const found = command.includes(path.sep)
+        ? isExecutable(command)
+        : (process.env.PATH || "")
+              .split(path.delimiter)
+              .some((directory) => isExecutable(path.join(directory, command)));
+
+    if (!found) {
+        throw new Error(`Command not found: ${command}`);
+    }
+}
+
+module.exports = { assertExecutable };
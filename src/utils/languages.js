@@ -0,0 +1,46 @@
+/**
+ * Helpers for matching language codes and names (e.g. "es-ES", "es", "Spanish")
+ */
+
+// English names of languages, e.g. "de" -> "German"
+const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+/**
+ * Get the English name of a language
+ * @param {string} code - Language code, e.g. "es-ES"
+ * @returns {string} - Language name, e.g. "Spanish", or the code if unknown
+ */
+function languageName(code) {
+    try {
+        return languageNames.of(code.split("-")[0]) || code;
+    } catch (error) {
+        // Not a valid language code
+        return code;
+    }
+}
+
+/**
+ * Find the entry of a list that refers to the same language
+ * @param {string} language - Language code or English name, as detected or configured
+ * @param {string[]} languages - Language codes (or names) to choose from
+ * @returns {string|null} - The matching entry, or null if none matches
+ */
+function findLanguage(language, languages) {
+    if (!language) return null;
+
+    const wanted = language.toLowerCase();
+    const base = wanted.split("-")[0];
+    const name = languageName(language).toLowerCase();
+
+    return (
+        languages.find((code) => code.toLowerCase() === wanted) ||
+        languages.find((code) => code.toLowerCase().split("-")[0] === base) ||
+        languages.find((code) => languageName(code).toLowerCase() === name) ||
+        null
+    );
+}
+
+module.exports = {
+    languageName,
+    findLanguage,
+};
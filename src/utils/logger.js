@@ -1,6 +1,10 @@
 /**
  * Logger module for consistent logging across the application
  */
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("./config");
+const { RotatingFile } = require("./rotating-file");
+
 const LOG_LEVELS = {
     ERROR: 0,
     WARN: 1,
@@ -8,53 +12,231 @@ const LOG_LEVELS = {
     DEBUG: 3,
 };
 
+// Fields (turnId, userId, guildId) attached to every line logged in the
+// current async context
+const logContext = new AsyncLocalStorage();
+
+// The log file, opened on first use; false if it could not be opened
+let logFile = null;
+
+/**
+ * Run a function with fields added to every line it logs, including from
+ * callbacks and promises it starts
+ * @param {object} fields - Fields to add, e.g. `{ turnId, userId, guildId }`
+ * @param {Function} callback - The function to run
+ * @returns {*} - What the function returns
+ */
+function runWithLogContext(fields, callback) {
+    return logContext.run({ ...getLogContext(), ...fields }, callback);
+}
+
+/**
+ * Bind a callback to the current log context, for callbacks that are called
+ * from elsewhere, like event listeners
+ * @param {Function} callback - The callback
+ * @returns {Function} - The bound callback
+ */
+function bindLogContext(callback) {
+    return AsyncLocalStorage.bind(callback);
+}
+
+/**
+ * Get the fields attached to lines logged in the current async context
+ * @returns {object} - The fields
+ */
+function getLogContext() {
+    return logContext.getStore() || {};
+}
+
+/**
+ * Check a log level name
+ * @param {string} level - Level name
+ * @returns {boolean} - Whether it is ERROR, WARN, INFO or DEBUG
+ */
+function isLogLevel(level) {
+    return Object.prototype.hasOwnProperty.call(LOG_LEVELS, level);
+}
+
+/**
+ * Get the log file, opening it the first time
+ * @returns {RotatingFile|null} - The log file, or null if none is configured
+ */
+function getLogFile() {
+    const { file, fileMaxBytes, fileMaxFiles } = config.logging;
+    if (!file || logFile === false) return null;
+
+    if (!logFile) {
+        try {
+            logFile = new RotatingFile(file, {
+                maxBytes: fileMaxBytes,
+                maxFiles: fileMaxFiles,
+            });
+        } catch (error) {
+            logFile = false;
+            console.error(`Could not open log file ${file}:`, error);
+            return null;
+        }
+    }
+    return logFile;
+}
+
+/**
+ * Describe a logged error for JSON output
+ * @param {*} error - The error
+ * @returns {object} - Name, message and stack
+ */
+function serializeError(error) {
+    if (error instanceof Error) {
+        return { name: error.name, message: error.message, stack: error.stack };
+    }
+    return { message: String(error) };
+}
+
 class Logger {
-    constructor(module, level = "INFO") {
+    constructor(module, level = null) {
         this.module = module;
-        this.level = LOG_LEVELS[level] || LOG_LEVELS.INFO;
+        // A level passed in here can't be changed at runtime
+        this.fixedLevel = level ? level.toUpperCase() : null;
+    }
+
+    /**
+     * Get the level this module logs at: the fixed one, the module's own, or the global one
+     * @returns {number} - The level
+     */
+    getLevel() {
+        const { level, moduleLevels } = config.logging;
+        const name = this.fixedLevel || moduleLevels[this.module] || level;
+
+        return isLogLevel(name) ? LOG_LEVELS[name] : LOG_LEVELS.INFO;
     }
 
-    formatMessage(level, message) {
+    formatMessage(level, message, context = getLogContext()) {
         const timestamp = new Date().toISOString();
-        return `[${timestamp}] [${level}] [${this.module}] ${message}`;
+        const fields = Object.entries(context)
+            .map(([name, value]) => `${name}=${value}`)
+            .join(" ");
+
+        return fields
+            ? `[${timestamp}] [${level}] [${this.module}] [${fields}] ${message}`
+            : `[${timestamp}] [${level}] [${this.module}] ${message}`;
     }
 
-    error(message, error = null) {
-        if (this.level >= LOG_LEVELS.ERROR) {
-            console.error(this.formatMessage("ERROR", message));
+    /**
+     * Write a line to the console and the log file
+     * @param {string} level - Level name
+     * @param {string} message - The message
+     * @param {*} [error] - Error logged with the message
+     */
+    write(level, message, error = null) {
+        if (this.getLevel() < LOG_LEVELS[level]) return;
+
+        const context = getLogContext();
+        const print = {
+            ERROR: console.error,
+            WARN: console.warn,
+            INFO: console.info,
+            DEBUG: console.debug,
+        }[level];
+
+        let line;
+        if (config.logging.format === "json") {
+            line = JSON.stringify({
+                time: new Date().toISOString(),
+                level,
+                module: this.module,
+                ...context,
+                message,
+                ...(error ? { error: serializeError(error) } : {}),
+            });
+            print(line);
+        } else {
+            line = this.formatMessage(level, message, context);
+            print(line);
             if (error) {
-                console.error(error);
+                print(error);
+                line += `\n${error instanceof Error ? error.stack : String(error)}`;
+            }
+        }
+
+        const file = getLogFile();
+        if (file) {
+            try {
+                file.write(line);
+            } catch (fileError) {
+                logFile = false;
+                console.error("Could not write to log file:", fileError);
             }
         }
     }
 
+    error(message, error = null) {
+        this.write("ERROR", message, error);
+    }
+
     warn(message) {
-        if (this.level >= LOG_LEVELS.WARN) {
-            console.warn(this.formatMessage("WARN", message));
-        }
+        this.write("WARN", message);
     }
 
     info(message) {
-        if (this.level >= LOG_LEVELS.INFO) {
-            console.info(this.formatMessage("INFO", message));
-        }
+        this.write("INFO", message);
     }
 
     debug(message) {
-        if (this.level >= LOG_LEVELS.DEBUG) {
-            console.debug(this.formatMessage("DEBUG", message));
-        }
+        this.write("DEBUG", message);
+    }
+}
+
+/**
+ * Change the global log level, or one module's
+ * @param {string} level - ERROR, WARN, INFO or DEBUG; for a module, null
+ *   goes back to the global level
+ * @param {string} [module] - The module name
+ */
+function setLogLevel(level, module = null) {
+    const name = level ? level.toUpperCase() : null;
+    if (name !== null && !isLogLevel(name)) {
+        throw new Error(`Unknown log level: ${level}`);
+    }
+
+    if (!module) {
+        if (!name) throw new Error("The global log level can't be unset");
+        config.logging.level = name;
+    } else if (name) {
+        config.logging.moduleLevels[module] = name;
+    } else {
+        delete config.logging.moduleLevels[module];
     }
 }
 
+/**
+ * Get the global log level and the per-module overrides
+ * @returns {object} - `level` and `modules` (levels keyed by module)
+ */
+function getLogLevels() {
+    return {
+        level: config.logging.level,
+        modules: { ...config.logging.moduleLevels },
+    };
+}
+
 /**
  * Create a logger instance for a specific module
  * @param {string} module - The module name
- * @param {string} level - The log level (ERROR, WARN, INFO, DEBUG)
+ * @param {string} [level] - Fixed log level (ERROR, WARN, INFO, DEBUG); by
+ *   default the module follows LOG_LEVEL and LOG_MODULE_LEVELS
  * @returns {Logger} - Logger instance
  */
-function createLogger(module, level = process.env.LOG_LEVEL || "INFO") {
+function createLogger(module, level = null) {
     return new Logger(module, level);
 }
 
-module.exports = { createLogger, LOG_LEVELS };
+module.exports = {
+    createLogger,
+    LOG_LEVELS,
+    isLogLevel,
+    setLogLevel,
+    getLogLevels,
+    runWithLogContext,
+    bindLogContext,
+    getLogContext,
+};
@@ -0,0 +1,259 @@
+/**
+ * Pipeline metrics, rendered in the Prometheus text format
+ */
+
+// Default histogram buckets for stage latencies, in seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+
+// Every metric, in the order they are rendered
+const registry = [];
+
+/**
+ * Format a label set as `{name="value",...}`
+ * @param {object} labels - Label values keyed by name
+ * @returns {string} - The formatted labels, empty if there are none
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(
+        ([name, value]) =>
+            `${name}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`,
+    );
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Base for metrics that keep one series per label set
+ */
+class Metric {
+    /**
+     * @param {string} type - Prometheus metric type
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} labelNames - Names of the labels each series has
+     */
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+        registry.push(this);
+    }
+
+    /**
+     * Get the series for a label set, creating it if needed
+     * @param {object} labels - Label values
+     * @param {Function} create - Creates the initial series value
+     * @returns {object} - The series with its `labels`
+     */
+    getSeries(labels, create) {
+        // Fix the label order so the same labels always map to the same series
+        const ordered = Object.fromEntries(
+            this.labelNames.map((name) => [name, labels[name] || ""]),
+        );
+        const key = JSON.stringify(ordered);
+
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: ordered, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * Render the metric's header lines
+     * @returns {string[]} - HELP and TYPE lines
+     */
+    renderHeader() {
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`,
+        ];
+    }
+}
+
+/**
+ * A value that only goes up, e.g. a number of failures
+ */
+class Counter extends Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} [labelNames] - Names of the labels each series has
+     */
+    constructor(name, help, labelNames = []) {
+        super("counter", name, help, labelNames);
+    }
+
+    /**
+     * Increase the counter
+     * @param {object} [labels] - Label values
+     * @param {number} [amount] - How much to add
+     */
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    /**
+     * Render the counter in the Prometheus text format
+     * @returns {string[]} - Lines
+     */
+    render() {
+        return [
+            ...this.renderHeader(),
+            ...[...this.series.values()].map(
+                (series) =>
+                    `${this.name}${formatLabels(series.labels)} ${series.value}`,
+            ),
+        ];
+    }
+}
+
+/**
+ * Observed values counted into buckets, e.g. latencies
+ */
+class Histogram extends Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {object} [options] - Histogram options
+     * @param {number[]} [options.buckets] - Upper bounds of the buckets, ascending
+     * @param {string[]} [options.labelNames] - Names of the labels each series has
+     */
+    constructor(
+        name,
+        help,
+        { buckets = LATENCY_BUCKETS, labelNames = [] } = {},
+    ) {
+        super("histogram", name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    /**
+     * Record a value
+     * @param {number} value - Observed value
+     * @param {object} [labels] - Label values
+     */
+    observe(value, labels = {}) {
+        const series = this.getSeries(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start timing something
+     * @param {object} [labels] - Label values
+     * @returns {Function} - Call when done to record the elapsed seconds
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (endLabels = {}) =>
+            this.observe(Number(process.hrtime.bigint() - start) / 1e9, {
+                ...labels,
+                ...endLabels,
+            });
+    }
+
+    /**
+     * Render the histogram in the Prometheus text format
+     * @returns {string[]} - Lines
+     */
+    render() {
+        const lines = this.renderHeader();
+
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(
+                    `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`,
+                );
+            });
+            lines.push(
+                `${this.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`,
+                `${this.name}_sum${formatLabels(series.labels)} ${series.sum}`,
+                `${this.name}_count${formatLabels(series.labels)} ${series.count}`,
+            );
+        }
+
+        return lines;
+    }
+}
+
+// Pipeline stages
+const recordingSeconds = new Histogram(
+    "voicebot_recording_seconds",
+    "Length of each captured utterance segment",
+    { buckets: [0.25, 0.5, 1, 2, 5, 10, 15, 20, 30] },
+);
+const sttSeconds = new Histogram(
+    "voicebot_stt_seconds",
+    "Time from the end of speech to the final transcript",
+    { labelNames: ["provider", "mode"] },
+);
+const llmSeconds = new Histogram(
+    "voicebot_llm_seconds",
+    "Time to generate a complete reply",
+    { labelNames: ["provider", "model"] },
+);
+const llmTokens = new Histogram(
+    "voicebot_llm_tokens",
+    "Estimated tokens per request (prompt) and per reply (completion)",
+    {
+        buckets: [16, 32, 64, 128, 256, 512, 1024, 2048, 4096, 8192],
+        labelNames: ["provider", "kind"],
+    },
+);
+const ttsSeconds = new Histogram(
+    "voicebot_tts_seconds",
+    "Time to synthesize one clip",
+    { labelNames: ["provider"] },
+);
+const playbackSeconds = new Histogram(
+    "voicebot_playback_seconds",
+    "How long each clip played",
+);
+const responseLatencySeconds = new Histogram(
+    "voicebot_response_latency_seconds",
+    "Time from the end of the user's speech to the first audio of the reply",
+);
+
+// Things that went wrong or were left out
+const skippedUtterances = new Counter(
+    "voicebot_skipped_utterances_total",
+    "Utterances that did not get a reply, by reason",
+    ["reason"],
+);
+const backendFailures = new Counter(
+    "voicebot_backend_failures_total",
+    "Failed requests to the STT, LLM and TTS backends",
+    ["backend", "provider"],
+);
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string} - The exposition text
+ */
+function renderMetrics() {
+    return `${registry.flatMap((metric) => metric.render()).join("\n")}\n`;
+}
+
+module.exports = {
+    Counter,
+    Histogram,
+    renderMetrics,
+    recordingSeconds,
+    sttSeconds,
+    llmSeconds,
+    llmTokens,
+    ttsSeconds,
+    playbackSeconds,
+    responseLatencySeconds,
+    skippedUtterances,
+    backendFailures,
+};
@@ -0,0 +1,70 @@
+/**
+ * Append-only file that is rotated once it gets too large
+ */
+const fs = require("fs");
+const path = require("path");
+
+class RotatingFile {
+    /**
+     * @param {string} filePath - Path to the file
+     * @param {object} options - Rotation limits
+     * @param {number} options.maxBytes - Size at which the file is rotated
+     * @param {number} options.maxFiles - Number of rotated files to keep
+     */
+    constructor(filePath, { maxBytes, maxFiles }) {
+        this.filePath = filePath;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.open();
+    }
+
+    /**
+     * Open the file for appending, picking up its current size
+     */
+    open() {
+        this.fd = fs.openSync(this.filePath, "a");
+        this.size = fs.fstatSync(this.fd).size;
+    }
+
+    /**
+     * Shift the rotated files up by one (file.1 becomes file.2 and so on),
+     * dropping the oldest, and start a new file
+     */
+    rotate() {
+        fs.closeSync(this.fd);
+
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            const from = `${this.filePath}.${index}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.filePath}.${index + 1}`);
+            }
+        }
+
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.filePath, `${this.filePath}.1`);
+        } else {
+            fs.unlinkSync(this.filePath);
+        }
+
+        this.open();
+    }
+
+    /**
+     * Append a line, rotating first if it would make the file too large
+     * @param {string} line - The line, without a trailing newline
+     */
+    write(line) {
+        const data = Buffer.from(`${line}\n`);
+
+        if (this.size > 0 && this.size + data.length > this.maxBytes) {
+            this.rotate();
+        }
+
+        fs.writeSync(this.fd, data);
+        this.size += data.length;
+    }
+}
+
+module.exports = { RotatingFile };
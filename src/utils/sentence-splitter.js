@@ -0,0 +1,56 @@
+/**
+ * Utility for splitting streamed text into complete sentences
+ */
+
+// End of a sentence: terminal punctuation (plus closing quotes/brackets) followed by whitespace
+const SENTENCE_END = /[.!?]+["')\]]*\s+|\n+/g;
+
+// Sentences shorter than this are merged with the next one to avoid choppy clips
+const DEFAULT_MIN_LENGTH = 20;
+
+class SentenceSplitter {
+    constructor(minLength = DEFAULT_MIN_LENGTH) {
+        this.minLength = minLength;
+        this.buffer = "";
+    }
+
+    /**
+     * Add streamed text and return the sentences it completed
+     * @param {string} text - The next chunk of text
+     * @returns {string[]} - Complete sentences, in order
+     */
+    push(text) {
+        this.buffer += text;
+
+        const sentences = [];
+        let start = 0;
+        let match;
+
+        SENTENCE_END.lastIndex = 0;
+        while ((match = SENTENCE_END.exec(this.buffer)) !== null) {
+            const end = match.index + match[0].length;
+            const sentence = this.buffer.slice(start, end).trim();
+
+            // Keep short fragments in the buffer so they join the next sentence
+            if (sentence.length < this.minLength) continue;
+
+            sentences.push(sentence);
+            start = end;
+        }
+
+        this.buffer = this.buffer.slice(start);
+        return sentences;
+    }
+
+    /**
+     * Return whatever text is left once the stream has ended
+     * @returns {string|null} - The remaining text or null if there is none
+     */
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = "";
+        return rest === "" ? null : rest;
+    }
+}
+
+module.exports = { SentenceSplitter };
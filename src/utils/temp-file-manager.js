@@ -12,6 +12,9 @@ const TEMP_DIR = config.app.tempDir;
 // Track all created temporary files for cleanup
 const tempFiles = new Set();
 
+// Keeps file names unique when several are created in the same millisecond
+let fileCounter = 0;
+
 /**
  * Ensure the temp directory exists
  */
@@ -30,7 +33,8 @@ function ensureTempDir() {
  */
 function createTempFilePath(prefix, extension) {
     ensureTempDir();
-    const fileName = `${prefix}_${Date.now()}.${extension}`;
+    fileCounter = (fileCounter + 1) % 1000;
+    const fileName = `${prefix}_${Date.now()}_${fileCounter}.${extension}`;
     return path.join(TEMP_DIR, fileName);
 }
 
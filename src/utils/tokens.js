@@ -0,0 +1,36 @@
+/**
+ * Rough token counting for keeping conversations within the model's context
+ */
+
+// Most tokenizers average about four characters of English text per token
+const CHARS_PER_TOKEN = 4;
+
+// Tokens the chat template adds around each message (role markers etc.)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - The text
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of tokens a list of chat messages takes up
+ * @param {object[]} messages - Messages with role and content
+ * @returns {number} - Estimated token count
+ */
+function estimateMessageTokens(messages) {
+    return messages.reduce(
+        (total, message) =>
+            total + estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS,
+        0,
+    );
+}
+
+module.exports = {
+    estimateTokens,
+    estimateMessageTokens,
+};
@@ -0,0 +1,89 @@
+/**
+ * Tests of the playback queue, with a fake Discord audio player
+ */
+const { tempDir } = require("./helpers/env");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { AudioPlayerStatus } = require("@discordjs/voice");
+const { createAudioPlayback } = require("../src/discord/audio-player");
+
+/**
+ * Discord audio player that plays each resource until it is ended by hand
+ */
+class FakePlayer extends EventEmitter {
+    constructor() {
+        super();
+        this.state = { status: AudioPlayerStatus.Idle };
+    }
+
+    play(resource) {
+        this.state = { status: AudioPlayerStatus.Playing, resource };
+        this.emit(AudioPlayerStatus.Playing);
+    }
+
+    stop() {
+        this.state = { status: AudioPlayerStatus.Idle };
+        this.emit(AudioPlayerStatus.Idle);
+    }
+}
+
+/**
+ * Write an audio clip to play
+ * @param {string} name - File name
+ * @returns {string} - Path to the file
+ */
+function writeClip(name) {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, "audio");
+    return filePath;
+}
+
+describe("AudioPlayback", () => {
+    const connection = { subscribe() {} };
+
+    /**
+     * Create a playback queue playing into a fake player
+     * @returns {object} - The `playback` and its `player`
+     */
+    function createPlayback() {
+        const player = new FakePlayer();
+        const playback = createAudioPlayback({
+            player,
+            createResource: () => ({ playbackDuration: 0 }),
+        });
+        return { playback, player };
+    }
+
+    it("reports a clip played to its end", async () => {
+        const { playback, player } = createPlayback();
+
+        const played = playback.enqueueAudio(writeClip("end.wav"), connection);
+        await new Promise(setImmediate);
+        assert.equal(playback.isCurrentlySpeaking(), true);
+
+        // The clip ends on its own
+        player.stop();
+
+        assert.equal(await played, true);
+    });
+
+    it("reports clips stopped mid-clip or still queued as not played", async () => {
+        const { playback } = createPlayback();
+
+        const first = playback.enqueueAudio(writeClip("first.wav"), connection);
+        const second = playback.enqueueAudio(
+            writeClip("second.wav"),
+            connection,
+        );
+        await new Promise(setImmediate);
+
+        playback.stopPlayback();
+
+        assert.equal(await first, false);
+        assert.equal(await second, false);
+        assert.equal(playback.isCurrentlySpeaking(), false);
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * Test environment, loaded before any of the bot's modules: the configuration
+ * starts from the schema defaults whatever the local .env file holds, and
+ * files are written to a temporary directory removed on exit
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { schema } = require("../../src/utils/config-schema");
+
+/**
+ * Blank out every variable a setting is read from. dotenv leaves variables
+ * that are already set alone, and empty ones count as unset.
+ * @param {object} node - Part of the schema
+ */
+function clearSettingVariables(node) {
+    for (const value of Object.values(node)) {
+        if (!value.isSetting) {
+            clearSettingVariables(value);
+            continue;
+        }
+
+        const names = [].concat(value.env || [], value.deprecatedEnv || []);
+        for (const name of names) {
+            process.env[name] = "";
+        }
+    }
+}
+
+clearSettingVariables(schema);
+process.env.CONFIG_FILE = "";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "voicebot-test-"));
+process.env.TEMP_DIR = path.join(tempDir, "temp");
+process.env.PROFILES_PATH = path.join(tempDir, "profiles.json");
+process.env.NOTES_PATH = path.join(tempDir, "notes.md");
+
+// Only the errors the tests provoke on purpose
+process.env.LOG_LEVEL = "ERROR";
+
+process.on("exit", () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+module.exports = { tempDir };
@@ -0,0 +1,405 @@
+/**
+ * Fakes for everything the bot talks to: the Discord client and voice
+ * connection, Google STT/TTS and an Ollama server
+ */
+require("./env");
+const fs = require("fs");
+const http = require("http");
+const { EventEmitter } = require("events");
+const { PassThrough } = require("stream");
+const { finished } = require("stream/promises");
+const { CAPTURE_FORMAT, bytesPerMs } = require("../../src/audio/pcm");
+const { FRAME_MS } = require("../../src/audio/vad");
+
+const BLOCK_BYTES = CAPTURE_FORMAT.channels * (CAPTURE_FORMAT.bitDepth / 8);
+
+/**
+ * Build a PCM fixture in the capture format: a tone, loud and steady enough
+ * to pass for speech, with silence around it
+ * @param {object} [options] - Fixture options
+ * @param {number} [options.speechMs] - Length of the tone
+ * @param {number} [options.silenceMs] - Silence before and after the tone
+ * @param {number} [options.amplitude] - Tone level, 0 to 1
+ * @returns {Buffer} - The PCM
+ */
+function speechFixture({
+    speechMs = 600,
+    silenceMs = 200,
+    amplitude = 0.3,
+} = {}) {
+    const silence = silenceFixture(silenceMs);
+    const tone = Buffer.alloc(
+        Math.round(speechMs * bytesPerMs(CAPTURE_FORMAT)),
+    );
+
+    for (let i = 0; i < tone.length / BLOCK_BYTES; i++) {
+        const sample = Math.round(
+            Math.sin((2 * Math.PI * 220 * i) / CAPTURE_FORMAT.sampleRate) *
+                amplitude *
+                32767,
+        );
+        for (let channel = 0; channel < CAPTURE_FORMAT.channels; channel++) {
+            tone.writeInt16LE(sample, i * BLOCK_BYTES + channel * 2);
+        }
+    }
+
+    return Buffer.concat([silence, tone, silence]);
+}
+
+/**
+ * Build a PCM fixture of silence in the capture format
+ * @param {number} durationMs - Length of the silence
+ * @returns {Buffer} - The PCM
+ */
+function silenceFixture(durationMs) {
+    return Buffer.alloc(Math.round(durationMs * bytesPerMs(CAPTURE_FORMAT)));
+}
+
+/**
+ * Cut audio into packets the way Discord sends them, one per frame
+ * @param {Buffer} audio - The audio
+ * @returns {Buffer[]} - The packets
+ */
+function toPackets(audio) {
+    const packetBytes = FRAME_MS * bytesPerMs(CAPTURE_FORMAT);
+    const packets = [];
+    for (let offset = 0; offset < audio.length; offset += packetBytes) {
+        packets.push(audio.subarray(offset, offset + packetBytes));
+    }
+    return packets;
+}
+
+/**
+ * Voice receiver that plays back fixtures instead of what users say. With
+ * the default decoder the packets are Opus; sessions given a pass-through
+ * decoder take PCM packets.
+ */
+class FakeVoiceReceiver {
+    constructor() {
+        this.speaking = new EventEmitter();
+        this.streams = new Map();
+    }
+
+    /**
+     * Get the audio stream of a user
+     * @param {string} userId - Discord user ID
+     * @returns {PassThrough} - The user's packets
+     */
+    subscribe(userId) {
+        const stream = new PassThrough();
+        this.streams.set(userId, stream);
+        return stream;
+    }
+
+    /**
+     * Have a user speak: announce it, send their packets and end the stream
+     * like Discord does after the silence timeout
+     * @param {string} userId - Discord user ID
+     * @param {Buffer[]} packets - What they say
+     * @returns {Promise<boolean>} - Whether the session listened to them
+     */
+    async speak(userId, packets) {
+        this.streams.delete(userId);
+        this.speaking.emit("start", userId);
+
+        const stream = this.streams.get(userId);
+        if (!stream) return false;
+
+        for (const packet of packets) {
+            stream.write(packet);
+        }
+        stream.end();
+        await finished(stream);
+        return true;
+    }
+}
+
+/**
+ * Voice connection that joins nothing
+ */
+class FakeVoiceConnection extends EventEmitter {
+    constructor() {
+        super();
+        this.receiver = new FakeVoiceReceiver();
+        this.state = { status: "ready" };
+        this.joinOptions = null;
+    }
+
+    subscribe() {}
+
+    destroy() {
+        this.state = { status: "destroyed" };
+    }
+}
+
+/**
+ * Audio player that reads the clips instead of playing them. Clips finish
+ * right away, unless `holdPlayback` is set: then each one keeps playing until
+ * finishPlayback() or stopPlayback() is called, so the bot can be talked over.
+ */
+class FakeAudioPlayer {
+    constructor() {
+        // Contents of the played clips, in order
+        this.played = [];
+        this.pending = Promise.resolve();
+        this.holdPlayback = false;
+        // The clip playing while held: when it started and how to end it
+        this.current = null;
+        // Increased by stopPlayback(), so clips queued before it are dropped
+        this.stops = 0;
+    }
+
+    /**
+     * Play an audio file, deleting it afterwards like the real player
+     * @param {string} audioFilePath - Path to the audio file
+     * @returns {Promise<boolean>} - Whether the clip played to the end
+     */
+    async playAudio(audioFilePath) {
+        this.played.push(fs.readFileSync(audioFilePath, "utf8"));
+        fs.rmSync(audioFilePath, { force: true });
+        if (!this.holdPlayback) return true;
+
+        const completed = await new Promise((resolve) => {
+            this.current = { startedAt: Date.now(), resolve };
+        });
+        this.current = null;
+        return completed;
+    }
+
+    /**
+     * Play a clip after the ones already queued
+     * @param {string|Promise<string|null>} audioFile - Path to the audio file, or a promise for it
+     * @param {object} connection - Voice connection
+     * @param {object} [options] - Queue options
+     * @param {Function} [options.onStart] - Called when the clip starts playing
+     * @returns {Promise<boolean>} - Whether the clip was played
+     */
+    enqueueAudio(audioFile, connection, { onStart } = {}) {
+        const stops = this.stops;
+        const playback = this.pending.then(async () => {
+            const audioFilePath = await Promise.resolve(audioFile).catch(
+                () => null,
+            );
+            if (!audioFilePath) return false;
+            if (this.stops !== stops) {
+                fs.rmSync(audioFilePath, { force: true });
+                return false;
+            }
+
+            if (onStart) onStart();
+            return this.playAudio(audioFilePath);
+        });
+        this.pending = playback;
+        return playback;
+    }
+
+    /**
+     * Let the held clip play to its end
+     */
+    finishPlayback() {
+        if (this.current) this.current.resolve(true);
+    }
+
+    isCurrentlySpeaking() {
+        return this.current !== null;
+    }
+
+    getPlaybackPosition() {
+        return this.current ? Date.now() - this.current.startedAt : 0;
+    }
+
+    stopPlayback() {
+        this.stops++;
+        if (this.current) this.current.resolve(false);
+    }
+}
+
+/**
+ * Create the Discord voice parts a session uses, as fakes
+ * @returns {object} - The `connection`, and `joinChannel`, `createDecoder`
+ *   (a pass-through, for PCM fixtures) and `audioPlayer` for the session
+ */
+function createFakeVoice() {
+    const connection = new FakeVoiceConnection();
+
+    return {
+        connection,
+        joinChannel: (options) => {
+            connection.joinOptions = options;
+            return connection;
+        },
+        createDecoder: () => new PassThrough(),
+        audioPlayer: new FakeAudioPlayer(),
+    };
+}
+
+/**
+ * Create a Discord client and a voice channel with the given members
+ * @param {object} members - Display names keyed by user ID
+ * @returns {object} - The `client` and `channel`
+ */
+function createFakeDiscord(members) {
+    const users = new Map();
+    const guildMembers = new Map();
+    for (const [id, displayName] of Object.entries(members)) {
+        users.set(id, { id, username: displayName.toLowerCase(), bot: false });
+        guildMembers.set(id, { id, displayName });
+    }
+
+    return {
+        client: { users: { cache: users } },
+        channel: {
+            id: "200",
+            name: "voice",
+            guild: {
+                id: "100",
+                members: { cache: guildMembers },
+                voiceAdapterCreator: () => ({}),
+            },
+        },
+    };
+}
+
+/**
+ * Create an STT provider that returns canned transcriptions
+ * @param {Function} transcribe - Called with the audio file path and format,
+ *   returns the text or `{ text, language }` (or a promise for it)
+ * @returns {object} - STT provider; `calls` holds the size and format of each audio
+ */
+function createStubSpeechToText(transcribe) {
+    const provider = {
+        name: "stub",
+        calls: [],
+
+        async transcribe(audioFilePath, format) {
+            provider.calls.push({
+                bytes: fs.statSync(audioFilePath).size,
+                format,
+            });
+            return transcribe(audioFilePath, format);
+        },
+    };
+    return provider;
+}
+
+/**
+ * Create a TTS provider that writes the text it is given as the audio
+ * @param {object} [options] - Stub options
+ * @param {boolean} [options.fail] - Throw instead of synthesizing
+ * @returns {object} - TTS provider; `calls` holds the synthesized texts
+ */
+function createStubTextToSpeech({ fail = false } = {}) {
+    const provider = {
+        name: "stub",
+        supportsSSML: false,
+        outputFormat: "wav",
+        calls: [],
+
+        async synthesize(input, outputFilePath) {
+            provider.calls.push(input.text);
+            if (fail) throw new Error("TTS backend unavailable");
+            await fs.promises.writeFile(outputFilePath, input.text);
+        },
+    };
+    return provider;
+}
+
+/**
+ * Start an HTTP server that answers Ollama chat requests, streamed or not
+ * @param {Function} respond - Called with each request body, returns the
+ *   reply text (or a promise for it); if it throws, the server answers 500
+ * @returns {Promise<object>} - The server's `url`, the `requests` it got and `close()`
+ */
+async function startOllamaStub(respond) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+        });
+        req.on("end", async () => {
+            if (req.url !== "/api/chat") {
+                res.writeHead(404).end();
+                return;
+            }
+
+            const request = JSON.parse(body);
+            requests.push(request);
+
+            let reply;
+            try {
+                reply = await respond(request);
+            } catch (error) {
+                res.writeHead(500, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: error.message }));
+                return;
+            }
+
+            const message = (content) => ({ role: "assistant", content });
+            if (!request.stream) {
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(
+                    JSON.stringify({ message: message(reply), done: true }),
+                );
+                return;
+            }
+
+            // One JSON object per line, a word at a time
+            res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+            for (const token of reply.match(/\S+\s*/g) || []) {
+                res.write(
+                    `${JSON.stringify({ message: message(token), done: false })}\n`,
+                );
+            }
+            res.end(
+                `${JSON.stringify({ message: message(""), done: true })}\n`,
+            );
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () =>
+            new Promise((resolve) => {
+                server.closeAllConnections();
+                server.close(resolve);
+            }),
+    };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {number} [timeoutMs] - How long to wait before failing
+ * @returns {Promise<void>} - Rejects if the condition still fails after the timeout
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(
+                `Timed out after ${timeoutMs}ms waiting for ${condition}`,
+            );
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = {
+    speechFixture,
+    silenceFixture,
+    toPackets,
+    FakeVoiceReceiver,
+    FakeVoiceConnection,
+    FakeAudioPlayer,
+    createFakeVoice,
+    createFakeDiscord,
+    createStubSpeechToText,
+    createStubTextToSpeech,
+    startOllamaStub,
+    waitFor,
+};
@@ -0,0 +1,123 @@
+/**
+ * Tests of the history stores' retention and reload limits, which must
+ * agree between the JSON and SQLite backends, and of when the JSON store
+ * writes its files
+ */
+const { tempDir } = require("./helpers/env");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { JsonHistoryStore } = require("../src/storage/json-history-store");
+const { SqliteHistoryStore } = require("../src/storage/sqlite-history-store");
+
+const stores = {
+    json: (name, retention) =>
+        new JsonHistoryStore({
+            directory: path.join(tempDir, name),
+            retention,
+        }),
+    sqlite: (name, retention) =>
+        new SqliteHistoryStore({
+            filePath: path.join(tempDir, `${name}.db`),
+            retention,
+        }),
+};
+
+/**
+ * Add numbered user messages to a conversation
+ * @param {object} store - History store
+ * @param {number} count - Number of messages
+ */
+function appendMessages(store, count) {
+    for (let i = 1; i <= count; i++) {
+        store.append("guild:channel", { role: "user", content: `m${i}` });
+    }
+}
+
+for (const [type, createStore] of Object.entries(stores)) {
+    describe(`${type} history store`, () => {
+        it("keeps and reloads the most recent messages", () => {
+            const store = createStore(`${type}-recent`, {
+                maxAgeDays: 30,
+                maxMessages: 3,
+            });
+            appendMessages(store, 5);
+
+            assert.deepEqual(
+                store.load("guild:channel", 2).map((m) => m.content),
+                ["m4", "m5"],
+            );
+            assert.deepEqual(
+                store.load("guild:channel", 10).map((m) => m.content),
+                ["m3", "m4", "m5"],
+            );
+        });
+
+        it("reloads nothing with a limit of 0", () => {
+            const store = createStore(`${type}-reload-zero`, {
+                maxAgeDays: 30,
+                maxMessages: 10,
+            });
+            appendMessages(store, 3);
+
+            assert.deepEqual(store.load("guild:channel", 0), []);
+        });
+
+        it("keeps messages forever with a maximum age of 0", async () => {
+            const store = createStore(`${type}-keep-forever`, {
+                maxAgeDays: 0,
+                maxMessages: 10,
+            });
+            appendMessages(store, 2);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+
+            assert.deepEqual(
+                store.load("guild:channel", 10).map((m) => m.content),
+                ["m1", "m2"],
+            );
+        });
+
+        it("keeps nothing with at most 0 messages", () => {
+            const store = createStore(`${type}-keep-zero`, {
+                maxAgeDays: 30,
+                maxMessages: 0,
+            });
+            appendMessages(store, 3);
+
+            assert.deepEqual(store.load("guild:channel", 10), []);
+        });
+    });
+}
+
+describe("json history store files", () => {
+    it("writes appended messages in the background and on flush", async () => {
+        const retention = { maxAgeDays: 30, maxMessages: 10 };
+        const store = stores.json("json-flush", retention);
+        appendMessages(store, 3);
+
+        // Nothing is written while the messages come in
+        assert.equal(fs.existsSync(store.filePath("guild:channel")), false);
+
+        await store.flush();
+        const reopened = stores.json("json-flush", retention);
+        assert.deepEqual(
+            reopened.load("guild:channel", 10).map((m) => m.content),
+            ["m1", "m2", "m3"],
+        );
+    });
+
+    it("doesn't bring back a cleared conversation", async () => {
+        const retention = { maxAgeDays: 30, maxMessages: 10 };
+        const store = stores.json("json-clear", retention);
+        appendMessages(store, 2);
+        await store.flush();
+
+        appendMessages(store, 1);
+        store.clear("guild:channel");
+        await store.flush();
+
+        assert.equal(fs.existsSync(store.filePath("guild:channel")), false);
+        assert.deepEqual(store.load("guild:channel", 10), []);
+    });
+});
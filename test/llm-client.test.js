@@ -0,0 +1,45 @@
+/**
+ * Tests of the conversation's context budget and the settings it depends on
+ */
+require("./helpers/env");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildConfig, ConfigError } = require("../src/utils/config-loader");
+const { getContextBudget } = require("../src/ai/llm-client");
+
+describe("getContextBudget", () => {
+    it("leaves room for the reply", () => {
+        assert.equal(
+            getContextBudget({ contextTokens: 4096, maxTokens: 1000 }),
+            3096,
+        );
+        assert.equal(getContextBudget({ contextTokens: 4096 }), 3584);
+    });
+
+    it("keeps a share of the window when the reply would take it all", (t) => {
+        // The clamped budget is warned about
+        t.mock.method(console, "warn", () => {});
+
+        assert.equal(
+            getContextBudget({ contextTokens: 4096, maxTokens: 4096 }),
+            1024,
+        );
+        assert.equal(
+            getContextBudget({ contextTokens: 2048, maxTokens: 8000 }),
+            512,
+        );
+    });
+
+    it("can't be configured with a reply as large as the window", () => {
+        assert.throws(
+            () =>
+                buildConfig({
+                    env: { LLM_MAX_TOKENS: "4096", LLM_CONTEXT_TOKENS: "4096" },
+                }),
+            ConfigError,
+        );
+        assert.doesNotThrow(() =>
+            buildConfig({ env: { LLM_MAX_TOKENS: "1024" } }),
+        );
+    });
+});
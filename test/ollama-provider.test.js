@@ -0,0 +1,70 @@
+/**
+ * Tests of the Ollama provider against a stub Ollama server
+ */
+require("./helpers/env");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startOllamaStub } = require("./helpers/fakes");
+const config = require("../src/utils/config");
+const { createOllamaProvider } = require("../src/ai/llm-providers/ollama");
+
+const MESSAGES = [
+    { role: "system", content: "You are a test." },
+    { role: "user", content: "Alice: hi" },
+];
+
+describe("Ollama provider", () => {
+    let ollama;
+    let provider;
+
+    before(async () => {
+        ollama = await startOllamaStub(
+            (request) => `Hi from ${request.model}.`,
+        );
+        config.ollama.apiHost = ollama.url;
+        provider = createOllamaProvider();
+    });
+
+    after(async () => {
+        await ollama.close();
+    });
+
+    it("returns the whole reply", async () => {
+        const reply = await provider.chat(MESSAGES, { model: "llama3" });
+
+        assert.equal(reply, "Hi from llama3.");
+        const request = ollama.requests.at(-1);
+        assert.equal(request.stream, false);
+        assert.deepEqual(request.messages, MESSAGES);
+    });
+
+    it("streams the reply token by token", async () => {
+        const tokens = [];
+
+        const reply = await provider.streamChat(MESSAGES, {
+            onToken: (token) => tokens.push(token),
+        });
+
+        assert.equal(reply, `Hi from ${config.ollama.model}.`);
+        assert.deepEqual(tokens, ["Hi ", "from ", `${config.ollama.model}.`]);
+        assert.equal(ollama.requests.at(-1).stream, true);
+    });
+
+    it("maps the sampling options onto Ollama's", async () => {
+        await provider.chat(MESSAGES, {
+            sampling: {
+                temperature: 0.2,
+                maxTokens: 64,
+                stop: ["\n"],
+                extraOptions: { top_k: 20 },
+            },
+        });
+
+        assert.deepEqual(ollama.requests.at(-1).options, {
+            top_k: 20,
+            temperature: 0.2,
+            num_predict: 64,
+            stop: ["\n"],
+        });
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests of reading persona files, valid or not
+ */
+const { tempDir } = require("./helpers/env");
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const config = require("../src/utils/config");
+const personas = require("../src/ai/personas");
+
+/**
+ * Write a persona file
+ * @param {string} id - File name without .json
+ * @param {object} fields - Fields besides the name and system prompt
+ */
+function writePersona(id, fields) {
+    fs.writeFileSync(
+        path.join(config.personas.directory, `${id}.json`),
+        JSON.stringify({
+            name: id,
+            systemPrompt: `You are ${id}.`,
+            ...fields,
+        }),
+    );
+}
+
+describe("personas", () => {
+    before(() => {
+        config.personas.directory = path.join(tempDir, "personas");
+        fs.mkdirSync(config.personas.directory);
+    });
+
+    it("reads the examples and sampling options of a persona", () => {
+        writePersona("ada", {
+            examples: [{ user: "Sam: hi", assistant: "Ahoy Sam!" }],
+            sampling: { temperature: 0.9, maxTokens: 200, stop: ["Sam:"] },
+        });
+
+        const persona = personas.getPersona("ada");
+        assert.deepEqual(persona.examples, [
+            { user: "Sam: hi", assistant: "Ahoy Sam!" },
+        ]);
+        assert.deepEqual(persona.sampling, {
+            temperature: 0.9,
+            maxTokens: 200,
+            stop: ["Sam:"],
+        });
+    });
+
+    it("skips personas with malformed examples or sampling options", (t) => {
+        // Each skipped persona is warned about
+        t.mock.method(console, "warn", () => {});
+
+        writePersona("string-examples", { examples: "Sam: hi" });
+        writePersona("map-examples", {
+            examples: { user: "Sam: hi", assistant: "Ahoy!" },
+        });
+        writePersona("wordy", { sampling: { maxTokens: "lots" } });
+        writePersona("list-sampling", { sampling: [0.9] });
+
+        for (const id of [
+            "string-examples",
+            "map-examples",
+            "wordy",
+            "list-sampling",
+        ]) {
+            assert.equal(personas.getPersona(id), null, id);
+        }
+        assert.equal(personas.getPersona("ada").name, "ada");
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests of the response policies and the settings they depend on
+ */
+require("./helpers/env");
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../src/utils/config");
+const { buildConfig, ConfigError } = require("../src/utils/config-loader");
+const { shouldRespond } = require("../src/ai/response-policy");
+
+describe("wake-word policy", () => {
+    afterEach(() => {
+        config.response.wakeWords = [];
+    });
+
+    /**
+     * Decide on one transcript with the given wake words
+     * @param {string[]} wakeWords - Lowercase wake words
+     * @param {string} transcript - What was said
+     * @returns {Promise<boolean>} - Whether the bot responds
+     */
+    function respondsTo(wakeWords, transcript) {
+        config.response.wakeWords = wakeWords;
+        return shouldRespond("wake-word", { transcripts: [transcript] });
+    }
+
+    it("answers when addressed by a wake word", async () => {
+        assert.equal(await respondsTo(["ada"], "Hey Ada, what's up?"), true);
+        assert.equal(await respondsTo(["ada"], "What's up?"), false);
+    });
+
+    it("finds wake words next to letters outside ASCII", async () => {
+        assert.equal(await respondsTo(["zoë"], "Salut Zoë!"), true);
+        assert.equal(await respondsTo(["élodie"], "Bonjour Élodie"), true);
+        assert.equal(await respondsTo(["ada"], "Cześć Adaś"), false);
+        assert.equal(await respondsTo(["ada"], "Ñada más"), false);
+    });
+
+    it("can't be configured without wake words", () => {
+        assert.throws(
+            () => buildConfig({ env: { RESPONSE_POLICY: "wake-word" } }),
+            ConfigError,
+        );
+        assert.throws(
+            () =>
+                buildConfig({
+                    file: {
+                        guilds: { 100: { response: { policy: "wake-word" } } },
+                    },
+                }),
+            ConfigError,
+        );
+        assert.doesNotThrow(() =>
+            buildConfig({
+                env: { RESPONSE_POLICY: "wake-word", WAKE_WORDS: "ada" },
+            }),
+        );
+    });
+});
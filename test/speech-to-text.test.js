@@ -0,0 +1,143 @@
+/**
+ * Tests of the Google STT provider with a stub client, in batch and
+ * streaming mode
+ */
+const { tempDir } = require("./helpers/env");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { createGoogleProvider } = require("../src/ai/stt-providers/google");
+
+const FORMAT = { sampleRate: 16000, channels: 1 };
+
+/**
+ * Streaming recognition request that keeps what is written to it
+ */
+class FakeRecognizeStream extends EventEmitter {
+    constructor() {
+        super();
+        this.written = [];
+        this.destroyed = false;
+    }
+
+    write(chunk) {
+        this.written.push(chunk);
+    }
+
+    end() {
+        this.emit("end");
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+/**
+ * Build a streaming response
+ * @param {string} transcript - Recognized text
+ * @param {boolean} isFinal - Whether the recognizer will still revise it
+ * @returns {object} - The response
+ */
+function streamingResult(transcript, isFinal) {
+    return {
+        results: [
+            {
+                alternatives: [{ transcript }],
+                isFinal,
+                languageCode: isFinal ? "en-us" : undefined,
+            },
+        ],
+    };
+}
+
+describe("Google STT provider", () => {
+    it("sends the audio and joins the results", async () => {
+        const requests = [];
+        const provider = createGoogleProvider({
+            speechClient: {
+                async recognize(request) {
+                    requests.push(request);
+                    return [
+                        {
+                            results: [
+                                {
+                                    alternatives: [{ transcript: "hello" }],
+                                    languageCode: "en-us",
+                                },
+                                { alternatives: [{ transcript: "world" }] },
+                            ],
+                        },
+                    ];
+                },
+            },
+        });
+        const audioFilePath = path.join(tempDir, "google.pcm");
+        fs.writeFileSync(audioFilePath, Buffer.from("pcm data"));
+
+        const result = await provider.transcribe(audioFilePath, FORMAT);
+
+        assert.deepEqual(result, { text: "hello\nworld", language: "en-us" });
+        assert.equal(
+            requests[0].audio.content,
+            Buffer.from("pcm data").toString("base64"),
+        );
+        assert.equal(requests[0].config.sampleRateHertz, 16000);
+        assert.equal(requests[0].config.audioChannelCount, 1);
+    });
+
+    it("reports interim results while streaming and resolves the final text", async () => {
+        const recognizeStream = new FakeRecognizeStream();
+        const provider = createGoogleProvider({
+            speechClient: {
+                streamingRecognize: (request) => {
+                    recognizeStream.request = request;
+                    return recognizeStream;
+                },
+            },
+        });
+        const interims = [];
+
+        const stream = provider.createStream(FORMAT, {
+            onInterim: (text) => interims.push(text),
+        });
+        stream.write(Buffer.from("frame"));
+        recognizeStream.emit("data", streamingResult("turn on", false));
+        recognizeStream.emit("data", streamingResult("turn on the", true));
+        recognizeStream.emit("data", streamingResult("lights", false));
+        recognizeStream.emit("data", streamingResult("lights", true));
+
+        assert.deepEqual(await stream.end(), {
+            text: "turn on the lights",
+            language: "en-us",
+        });
+        assert.deepEqual(interims, ["turn on", "turn on the lights"]);
+        assert.equal(recognizeStream.request.interimResults, true);
+        assert.deepEqual(recognizeStream.written, [Buffer.from("frame")]);
+    });
+
+    it("rejects the result when the stream fails", async () => {
+        const recognizeStream = new FakeRecognizeStream();
+        const provider = createGoogleProvider({
+            speechClient: { streamingRecognize: () => recognizeStream },
+        });
+
+        const stream = provider.createStream(FORMAT, { onInterim: () => {} });
+        recognizeStream.emit("error", new Error("quota exceeded"));
+
+        await assert.rejects(stream.end(), /quota exceeded/);
+    });
+
+    it("stops the request when the stream is aborted", () => {
+        const recognizeStream = new FakeRecognizeStream();
+        const provider = createGoogleProvider({
+            speechClient: { streamingRecognize: () => recognizeStream },
+        });
+
+        provider.createStream(FORMAT, { onInterim: () => {} }).abort();
+
+        assert.equal(recognizeStream.destroyed, true);
+    });
+});
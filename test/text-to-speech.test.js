@@ -0,0 +1,128 @@
+/**
+ * Tests of speech synthesis: SSML, the Google provider with a stub client
+ * and the provider-independent generateSpeech
+ */
+const { tempDir } = require("./helpers/env");
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createStubTextToSpeech } = require("./helpers/fakes");
+const textToSpeech = require("../src/ai/text-to-speech");
+const { createGoogleProvider } = require("../src/ai/tts-providers/google");
+
+describe("textToSSML", () => {
+    it("adds pauses after punctuation and wraps the text", () => {
+        assert.equal(
+            textToSpeech.textToSSML("Hi, there. Ready? Go"),
+            '<speak>Hi, <break time="300ms"/> there. <break time="500ms"/> ' +
+                'Ready? <break time="500ms"/> Go</speak>',
+        );
+    });
+
+    it("spells out characters that would break the markup", () => {
+        assert.equal(
+            textToSpeech.textToSSML("1 < 2 & 3"),
+            "<speak>1 less than 2 and 3</speak>",
+        );
+    });
+
+    it("returns nothing for blank text", () => {
+        assert.equal(textToSpeech.textToSSML("   "), "");
+    });
+});
+
+describe("Google TTS provider", () => {
+    it("synthesizes MP3 with the language taken from the voice name", async () => {
+        const requests = [];
+        const provider = createGoogleProvider({
+            ttsClient: {
+                async synthesizeSpeech(request) {
+                    requests.push(request);
+                    return [{ audioContent: Buffer.from("mp3 data") }];
+                },
+            },
+        });
+        const outputFilePath = path.join(tempDir, "google.mp3");
+
+        await provider.synthesize(
+            { ssml: "<speak>Hola</speak>" },
+            outputFilePath,
+            {
+                voice: "es-ES-Standard-A",
+                rate: 1.2,
+                pitch: -2,
+            },
+        );
+
+        assert.deepEqual(requests, [
+            {
+                input: { ssml: "<speak>Hola</speak>" },
+                voice: { languageCode: "es-ES", name: "es-ES-Standard-A" },
+                audioConfig: {
+                    audioEncoding: "MP3",
+                    speakingRate: 1.2,
+                    pitch: -2,
+                },
+            },
+        ]);
+        assert.equal(fs.readFileSync(outputFilePath, "utf8"), "mp3 data");
+    });
+});
+
+describe("generateSpeech", () => {
+    afterEach(() => {
+        textToSpeech.setProvider(null);
+    });
+
+    it("writes plain text for providers without SSML", async () => {
+        const provider = createStubTextToSpeech();
+        textToSpeech.setProvider(provider);
+
+        const audioFilePath = await textToSpeech.generateSpeech("Hello & bye");
+
+        assert.equal(path.extname(audioFilePath), ".wav");
+        assert.equal(fs.readFileSync(audioFilePath, "utf8"), "Hello and bye");
+    });
+
+    it("returns null when the provider fails", async (t) => {
+        t.mock.method(console, "error", () => {});
+        textToSpeech.setProvider(createStubTextToSpeech({ fail: true }));
+
+        assert.equal(await textToSpeech.generateSpeech("Hello"), null);
+    });
+
+    it("uses the default voice instead of one the provider can't use", async (t) => {
+        // The unfit voice is warned about
+        t.mock.method(console, "warn", () => {});
+
+        const voices = [];
+        textToSpeech.setProvider({
+            ...createStubTextToSpeech(),
+            acceptsVoice: (voice) => voice.endsWith(".onnx"),
+            async synthesize(input, outputFilePath, { voice }) {
+                voices.push(voice);
+                await fs.promises.writeFile(outputFilePath, input.text);
+            },
+        });
+
+        await textToSpeech.generateSpeech("Ahoy", { voice: "pirate.onnx" });
+        await textToSpeech.generateSpeech("Ahoy", {
+            voice: "en-GB-Standard-B",
+        });
+
+        assert.deepEqual(voices, [
+            "pirate.onnx",
+            textToSpeech.getDefaultVoice(),
+        ]);
+        assert.equal(textToSpeech.checkVoice("en-GB-Standard-B"), false);
+    });
+
+    it("returns null for blank text without calling the provider", async () => {
+        const provider = createStubTextToSpeech();
+        textToSpeech.setProvider(provider);
+
+        assert.equal(await textToSpeech.generateSpeech(" "), null);
+        assert.deepEqual(provider.calls, []);
+    });
+});
@@ -0,0 +1,460 @@
+/**
+ * End-to-end tests of the voice pipeline: captured audio through
+ * transcription, the LLM and speech synthesis to playback
+ */
+const { tempDir } = require("./helpers/env");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+    speechFixture,
+    silenceFixture,
+    toPackets,
+    createFakeVoice,
+    createFakeDiscord,
+    createStubSpeechToText,
+    createStubTextToSpeech,
+    startOllamaStub,
+    waitFor,
+} = require("./helpers/fakes");
+const config = require("../src/utils/config");
+const metrics = require("../src/utils/metrics");
+const speechToText = require("../src/ai/speech-to-text");
+const textToSpeech = require("../src/ai/text-to-speech");
+const { VoiceSession } = require("../src/discord/voice-session");
+
+// What the stub LLM answers, and the sentences it is played back as
+const REPLY_SENTENCES = [
+    "Hello there, it is good to hear from you.",
+    "What would you like to talk about?",
+];
+const REPLY = REPLY_SENTENCES.join(" ");
+
+/**
+ * Write a recording the way the session does before transcribing it
+ * @param {number} bytes - Size of the recording
+ * @returns {string} - Path to the file
+ */
+function writeRecording(bytes) {
+    const filePath = path.join(tempDir, `recording-${Date.now()}.pcm`);
+    fs.writeFileSync(filePath, Buffer.alloc(bytes, 1));
+    return filePath;
+}
+
+/**
+ * Read a counter series from the metrics output
+ * @param {string} series - Metric name with its labels
+ * @returns {number} - The value, 0 if the series was never increased
+ */
+function counterValue(series) {
+    const line = metrics
+        .renderMetrics()
+        .split("\n")
+        .find((entry) => entry.startsWith(`${series} `));
+    return line ? Number(line.split(" ").pop()) : 0;
+}
+
+describe("VoiceSession", () => {
+    let ollama;
+    let reply;
+    let stt;
+    let transcript;
+    let tts;
+    let voice;
+    let session;
+
+    beforeEach(async () => {
+        reply = () => REPLY;
+        ollama = await startOllamaStub((request) => reply(request));
+        config.ollama.apiHost = ollama.url;
+
+        transcript = () => "Hello bot";
+        stt = createStubSpeechToText(() => transcript());
+        speechToText.setProvider(stt);
+
+        tts = createStubTextToSpeech();
+        textToSpeech.setProvider(tts);
+
+        const { client, channel } = createFakeDiscord({
+            u1: "Alice",
+            u2: "Bob",
+        });
+        voice = createFakeVoice();
+        session = new VoiceSession(client, channel, voice);
+    });
+
+    afterEach(async () => {
+        session.close();
+        await ollama.close();
+        config.app.streamResponses = true;
+        config.bargeIn.enabled = false;
+    });
+
+    describe("processUserAudio", () => {
+        it("answers a recording with streamed sentences", async () => {
+            await session.processUserAudio("u1", writeRecording(4000));
+            await waitFor(() => session.recentTurns.length === 1);
+
+            assert.equal(session.recentTurns[0].outcome, "answered");
+            assert.equal(session.recentTurns[0].reply, REPLY);
+            assert.equal(stt.calls.length, 1);
+
+            const [request] = ollama.requests;
+            assert.equal(request.stream, true);
+            assert.deepEqual(request.messages.at(-1), {
+                role: "user",
+                content: "Alice: hello bot",
+            });
+
+            // Each sentence is synthesized and played on its own
+            assert.deepEqual(voice.audioPlayer.played, REPLY_SENTENCES);
+        });
+
+        it("answers a recording with a single clip", async () => {
+            config.app.streamResponses = false;
+
+            await session.processUserAudio("u1", writeRecording(4000));
+            await waitFor(() => session.recentTurns.length === 1);
+
+            assert.equal(session.recentTurns[0].outcome, "answered");
+            assert.equal(ollama.requests[0].stream, false);
+            assert.deepEqual(voice.audioPlayer.played, [REPLY]);
+        });
+
+        it("queues what is said while the bot is busy and answers it next", async () => {
+            let finishFirstReply;
+            reply = () =>
+                ollama.requests.length === 1
+                    ? new Promise((resolve) => {
+                          finishFirstReply = () => resolve("First answer.");
+                      })
+                    : "Second answer.";
+            transcript = () =>
+                stt.calls.length === 1 ? "What time is it" : "And the date";
+
+            await session.processUserAudio("u1", writeRecording(4000));
+            await waitFor(() => ollama.requests.length === 1);
+            assert.equal(session.isBusy(), true);
+
+            await session.processUserAudio("u2", writeRecording(4000));
+            assert.equal(session.utteranceQueue.size, 1);
+            assert.equal(ollama.requests.length, 1);
+
+            finishFirstReply();
+            await waitFor(() => session.recentTurns.length === 2);
+
+            assert.deepEqual(
+                session.recentTurns.map((turn) => turn.outcome),
+                ["answered", "answered"],
+            );
+            assert.deepEqual(voice.audioPlayer.played, [
+                "First answer.",
+                "Second answer.",
+            ]);
+
+            // The second request carries the whole conversation so far
+            assert.deepEqual(
+                ollama.requests[1].messages
+                    .slice(-3)
+                    .map((message) => message.content),
+                [
+                    "Alice: what time is it",
+                    "First answer.",
+                    "Bob: and the date",
+                ],
+            );
+        });
+
+        it("skips recordings too short to transcribe", async () => {
+            const skipped = counterValue(
+                'voicebot_skipped_utterances_total{reason="file_too_small"}',
+            );
+
+            await session.processUserAudio("u1", writeRecording(500));
+            await waitFor(() => session.recentTurns.length === 1);
+
+            assert.equal(session.recentTurns[0].outcome, "no speech");
+            assert.equal(stt.calls.length, 0);
+            assert.equal(ollama.requests.length, 0);
+            assert.equal(
+                counterValue(
+                    'voicebot_skipped_utterances_total{reason="file_too_small"}',
+                ),
+                skipped + 1,
+            );
+        });
+
+        it("skips empty transcriptions", async () => {
+            transcript = () => "   ";
+
+            await session.processUserAudio("u1", writeRecording(4000));
+            await waitFor(() => session.recentTurns.length === 1);
+
+            assert.equal(session.recentTurns[0].outcome, "no speech");
+            assert.equal(ollama.requests.length, 0);
+            assert.equal(session.conversation.history.length, 1);
+        });
+
+        it("ignores users it can't name, like other bots", async () => {
+            await session.processUserAudio("u9", writeRecording(4000));
+
+            assert.equal(session.utteranceQueue.size, 0);
+            assert.equal(session.recentTurns.length, 0);
+            assert.equal(ollama.requests.length, 0);
+        });
+
+        it("stays quiet when transcription fails", async (t) => {
+            // The failure is logged as an error
+            t.mock.method(console, "error", () => {});
+
+            const failures = counterValue(
+                'voicebot_backend_failures_total{backend="stt",provider="google"}',
+            );
+            transcript = () => {
+                throw new Error("STT backend unavailable");
+            };
+
+            await session.processUserAudio("u1", writeRecording(4000));
+            await waitFor(() => session.recentTurns.length === 1);
+
+            assert.equal(session.recentTurns[0].outcome, "no speech");
+            assert.equal(ollama.requests.length, 0);
+            assert.equal(
+                counterValue(
+                    'voicebot_backend_failures_total{backend="stt",provider="google"}',
+                ),
+                failures + 1,
+            );
+        });
+
+        it("keeps the transcription when the LLM fails", async (t) => {
+            // The failure is logged as an error
+            t.mock.method(console, "error", () => {});
+
+            reply = () => {
+                throw new Error("model not found");
+            };
+
+            await session.processUserAudio("u1", writeRecording(4000));
+            await waitFor(() => session.recentTurns.length === 1);
+
+            assert.equal(session.recentTurns[0].outcome, "failed");
+            assert.deepEqual(voice.audioPlayer.played, []);
+            assert.deepEqual(session.conversation.history.at(-1), {
+                role: "user",
+                content: "Alice: hello bot",
+            });
+        });
+
+        it("plays nothing when speech synthesis fails", async (t) => {
+            // The failure is logged as an error
+            t.mock.method(console, "error", () => {});
+
+            tts = createStubTextToSpeech({ fail: true });
+            textToSpeech.setProvider(tts);
+
+            await session.processUserAudio("u1", writeRecording(4000));
+            await waitFor(() => session.recentTurns.length === 1);
+
+            assert.equal(session.recentTurns[0].reply, REPLY);
+            assert.deepEqual(tts.calls, REPLY_SENTENCES);
+            assert.deepEqual(voice.audioPlayer.played, []);
+        });
+    });
+
+    describe("say", () => {
+        it("speaks the text after what is already queued", async () => {
+            assert.equal(await session.say("Dinner is ready."), true);
+            assert.deepEqual(voice.audioPlayer.played, ["Dinner is ready."]);
+        });
+
+        it("says nothing while muted", async () => {
+            session.setMuted(true);
+
+            assert.equal(await session.say("Dinner is ready."), false);
+            assert.deepEqual(tts.calls, []);
+        });
+    });
+
+    describe("voice receiver", () => {
+        beforeEach(() => {
+            session.connect();
+        });
+
+        it("joins the channel with the fake connection", () => {
+            assert.equal(session.connection, voice.connection);
+            assert.equal(voice.connection.joinOptions.channelId, "200");
+            assert.equal(voice.connection.joinOptions.selfDeaf, false);
+        });
+
+        it("transcribes and answers what a user says", async () => {
+            const audio = speechFixture({ speechMs: 600, silenceMs: 500 });
+            assert.equal(
+                await voice.connection.receiver.speak("u1", toPackets(audio)),
+                true,
+            );
+            await waitFor(() => session.recentTurns.length === 1);
+
+            assert.equal(session.recentTurns[0].outcome, "answered");
+            assert.equal(stt.calls.length, 1);
+
+            // The provider gets 16 kHz mono, with the silence trimmed to
+            // 200 ms of padding around the speech
+            const { sampleRate, channels } = stt.calls[0].format;
+            assert.deepEqual(
+                { sampleRate, channels },
+                { sampleRate: 16000, channels: 1 },
+            );
+            assert.equal(stt.calls[0].bytes, (600 + 2 * 200) * 32);
+        });
+
+        it("drops audio without speech before transcription", async () => {
+            const skipped = counterValue(
+                'voicebot_skipped_utterances_total{reason="no_speech"}',
+            );
+
+            await voice.connection.receiver.speak(
+                "u1",
+                toPackets(silenceFixture(800)),
+            );
+            await waitFor(() => session.activeStreams.size === 0);
+
+            assert.equal(stt.calls.length, 0);
+            assert.equal(session.recentTurns.length, 0);
+            assert.equal(
+                counterValue(
+                    'voicebot_skipped_utterances_total{reason="no_speech"}',
+                ),
+                skipped + 1,
+            );
+        });
+
+        it("stops talking when a user talks over it", async () => {
+            config.bargeIn.enabled = true;
+            voice.audioPlayer.holdPlayback = true;
+            reply = () =>
+                ollama.requests.length === 1
+                    ? REPLY
+                    : "Sure, take your time, I am listening.";
+            const replies = [];
+            session.on("reply", (event) => replies.push(event));
+
+            await voice.connection.receiver.speak(
+                "u1",
+                toPackets(speechFixture()),
+            );
+            await waitFor(() => voice.audioPlayer.isCurrentlySpeaking());
+
+            // Bob talks over the first sentence for long enough to interrupt
+            transcript = () => "Wait a moment";
+            await voice.connection.receiver.speak(
+                "u2",
+                toPackets(
+                    speechFixture({
+                        speechMs: config.bargeIn.minSpeechMs + 300,
+                    }),
+                ),
+            );
+            await waitFor(() => session.recentTurns.length === 1);
+
+            assert.equal(session.recentTurns[0].outcome, "interrupted");
+            assert.deepEqual(voice.audioPlayer.played, [REPLY_SENTENCES[0]]);
+            assert.equal(replies.length, 1);
+            assert.equal(replies[0].interrupted, true);
+            assert.match(
+                session.conversation.history
+                    .filter((message) => message.role === "assistant")
+                    .at(-1).content,
+                /\[interrupted/,
+            );
+
+            // What Bob said is still transcribed
+            await waitFor(() => stt.calls.length === 2);
+        });
+
+        it("keeps what was said when a user talks over a pending transcription", async () => {
+            config.bargeIn.enabled = true;
+            let finishFirstTranscription;
+            transcript = () =>
+                stt.calls.length === 1
+                    ? new Promise((resolve) => {
+                          finishFirstTranscription = () => resolve("Hello bot");
+                      })
+                    : "Wait for me";
+
+            await voice.connection.receiver.speak(
+                "u1",
+                toPackets(speechFixture()),
+            );
+            await waitFor(() => finishFirstTranscription !== undefined);
+
+            // Bob talks for long enough to interrupt a reply, but there is none yet
+            await voice.connection.receiver.speak(
+                "u2",
+                toPackets(speechFixture({ speechMs: 1200 })),
+            );
+            finishFirstTranscription();
+            await waitFor(() => session.recentTurns.length === 2);
+
+            assert.deepEqual(
+                session.conversation.history
+                    .filter((message) => message.role === "user")
+                    .map((message) => message.content),
+                ["Alice: hello bot", "Bob: wait for me"],
+            );
+        });
+
+        it("answers both speakers when the second talks over the first's transcription", async () => {
+            config.bargeIn.enabled = true;
+            let finishFirstTranscription;
+            transcript = () =>
+                stt.calls.length === 1
+                    ? new Promise((resolve) => {
+                          finishFirstTranscription = () =>
+                              resolve("What time is it");
+                      })
+                    : "And the date";
+            reply = () =>
+                ollama.requests.length === 1
+                    ? "First answer."
+                    : "Second answer.";
+
+            await voice.connection.receiver.speak(
+                "u1",
+                toPackets(speechFixture()),
+            );
+            await waitFor(() => finishFirstTranscription !== undefined);
+
+            await voice.connection.receiver.speak(
+                "u2",
+                toPackets(speechFixture({ speechMs: 1200 })),
+            );
+            await waitFor(() => session.utteranceQueue.size === 1);
+            finishFirstTranscription();
+            await waitFor(() => session.recentTurns.length === 2);
+
+            assert.deepEqual(
+                session.recentTurns.map((turn) => turn.outcome),
+                ["answered", "answered"],
+            );
+            assert.deepEqual(voice.audioPlayer.played, [
+                "First answer.",
+                "Second answer.",
+            ]);
+        });
+
+        it("doesn't listen while muted", async () => {
+            session.setMuted(true);
+
+            assert.equal(
+                await voice.connection.receiver.speak(
+                    "u1",
+                    toPackets(speechFixture()),
+                ),
+                false,
+            );
+            assert.equal(stt.calls.length, 0);
+        });
+    });
+});